@@ -5,6 +5,7 @@ import { EventEmitter } from 'events';
 declare module "steam-inventory" {
   import type SteamID from "steamid";
   import { Request } from "request";
+  import { Transform, Writable } from "stream";
 
   /**
    * @param err `null` on success, an `Error` object on failure.
@@ -45,9 +46,27 @@ declare module "steam-inventory" {
   interface Options {
     /**
      * An instance of {@link https://www.npmjs.com/package/request|request} v2.x.x which will be used by `SteamInventory` for its HTTP requests.
-     * SteamInventory` will create its own if omitted.
+     * Passing one selects the `request` transport; if omitted, the `transport` option decides how requests are sent.
      */
-    request: Request;
+    request?: Request;
+
+    /**
+     * How HTTP requests are sent: `native` (Node's http/https, the default), `request` (the deprecated request
+     * module, which must then be installed) or any object implementing `Transport`.
+     */
+    transport?: "native" | "request" | Transport;
+
+    /**
+     * Record every HTTP exchange into fixture files (`record`), or serve responses from them without any network
+     * access (`replay`). API keys and cookies are redacted from recordings.
+     */
+    fixtures?: FixtureOptions;
+
+    /**
+     * Where to send the built-in providers' requests instead of their own hosts, e.g. a `FakeSteamServer`.
+     * A string applies to every provider (and the inventory page); an object maps provider names to base URLs.
+     */
+    baseURL?: string | { [provider: string]: string };
 
     /**
      * The time in milliseconds that `SteamInventory` will wait for HTTP requests to complete.
@@ -61,8 +80,952 @@ declare module "steam-inventory" {
      */
     userAgent: string;
 
-    /** The local IP address that `SteamInventory` will use for its HTTP requests. Overrides an `localAddress` option that was set on the passed-in `request` object. */
-    localAddress: string;
+    /** The local IP address that `SteamInventory` will use for its HTTP requests. Overrides an `localAddress` option that was set on the passed-in `request` object. */
+    localAddress: string;
+
+    /**
+     * Per-hostname rate limiting applied to every request. Requests which arrive too early are queued, emitting
+     * `requestDelayed`; requests which don't fit in the queue fail, emitting `requestQueueOverflow`. By default only
+     * steamcommunity.com is limited, to a burst of 3 and then one request every 1.5 seconds. Setting `interval`, or a
+     * `hosts` entry for steamcommunity.com, replaces that default.
+     */
+    rateLimit?: RateLimitOptions;
+
+    /** How failed inventory page requests are retried. Each retry emits `retry`. */
+    retry?: RetryOptions;
+
+    /** Caches fetched inventories. `true` uses an in-memory store with the default settings. Disabled by default. */
+    cache?: boolean | CacheOptions;
+
+    /**
+     * Spread requests over several local addresses and/or proxies, leaving out endpoints which were rate-limited or
+     * failed to connect for a cooldown. Evictions and restorations emit `endpointEvicted` and `endpointRestored`.
+     */
+    endpointPool?: EndpointPoolOptions | EndpointPool;
+
+    /**
+     * How request metrics are collected, or an InventoryMetrics instance to share between several instances.
+     * Metrics are always collected; read them with `getStats()` and `getPrometheusMetrics()`.
+     */
+    metrics?: InventoryMetricsOptions | InventoryMetrics;
+  }
+
+  /** The normalized request a transport sends */
+  interface TransportRequest {
+    method: string;
+
+    /** The full URL, including its query string */
+    url: string;
+    headers: { [name: string]: string };
+    body?: string | Buffer;
+
+    /** Milliseconds to wait for the response before failing with an `ETIMEDOUT` error */
+    timeout?: number;
+
+    /** An http:// or https:// proxy URL */
+    proxy?: string | null;
+    localAddress?: string | null;
+
+    /** Whether to follow redirects of GET and HEAD requests */
+    followRedirect: boolean;
+
+    /** How to decode the body. `null` leaves it a Buffer. Defaults to `utf8`. */
+    encoding?: string | null;
+  }
+
+  interface TransportResponse {
+    statusCode: number;
+
+    /** Lower-cased header names */
+    headers: { [name: string]: string | string[] | undefined };
+    body: string | Buffer;
+
+    /** The final URL, after redirects */
+    url?: string;
+  }
+
+  interface Transport {
+    name?: string;
+
+    /** Send a request. Network failures are passed as `err`; HTTP error statuses are not errors. */
+    send(request: TransportRequest, callback: (err: Error | null, response?: TransportResponse) => void): void;
+  }
+
+  class NativeTransport implements Transport {
+    constructor(options?: { keepAlive?: boolean });
+    name: "native";
+    send(request: TransportRequest, callback: (err: Error | null, response?: TransportResponse) => void): void;
+  }
+
+  class RequestTransport implements Transport {
+    constructor(options?: { request?: Request });
+    name: "request";
+    request: Request;
+    send(request: TransportRequest, callback: (err: Error | null, response?: TransportResponse) => void): void;
+  }
+
+  interface FakeInventoryData {
+    assets: any[];
+    descriptions: any[];
+  }
+
+  interface FakeSteamServerOptions {
+    /** Inventories to serve, given as assets and descriptions or generated from a seed */
+    dataset?: Array<
+      { steamID: string; appID: number; contextID: number } & (
+        | FakeInventoryData
+        | { count?: number; seed?: number }
+      )
+    >;
+
+    /** The most items to serve per page, whatever count the client asks for */
+    pageSize?: number;
+
+    /** If set, the providers which need a key must send this one */
+    apiKey?: string;
+  }
+
+  type FakeSteamBehavior = "private" | "rateLimited" | "error" | "fakeRedirect" | "malformed" | "invalidKey";
+
+  /**
+   * A local HTTP server imitating the community, IEconService, steamapis, steam.supply and RapidAPI inventory
+   * endpoints, for integration tests. Point a SteamInventory at it with the `baseURL` option.
+   */
+  class FakeSteamServer {
+    constructor(options?: FakeSteamServerOptions);
+
+    /** Set once listening, e.g. `http://127.0.0.1:12345` */
+    baseURL: string | null;
+
+    /** Every request the server handled */
+    requests: Array<{ provider: string | null; path: string; query: { [name: string]: string } }>;
+
+    /** Generate a deterministic inventory: the same seed always gives the same items. */
+    static generateInventory(options?: {
+      seed?: number;
+      count?: number;
+      appID?: number;
+      contextID?: number;
+    }): FakeInventoryData;
+
+    setInventory(steamID: string, appID: number, contextID: number, assets: any[], descriptions: any[]): void;
+
+    /**
+     * Make requests for a SteamID's inventories fail.
+     * @param steamID
+     * @param behavior
+     * @param options - `times` limits how many requests fail; `eresult` and `retryAfter` shape the failure
+     */
+    simulate(
+      steamID: string,
+      behavior: FakeSteamBehavior,
+      options?: { times?: number; eresult?: number; retryAfter?: number }
+    ): void;
+
+    /** Stop simulating failures, for one SteamID or for all of them */
+    reset(steamID?: string): void;
+
+    listen(port: number, callback: (err: CallbackError, baseURL: string) => void): void;
+    listen(callback: (err: CallbackError, baseURL: string) => void): void;
+    listen(port?: number): Promise<{ baseURL: string }>;
+
+    close(callback: Callback): void;
+    close(): Promise<{}>;
+  }
+
+  interface MiddlewareContext {
+    /** The request's ID, as passed to `onPreHttpRequest` and `postHttpRequest` */
+    id: number;
+    source: string;
+
+    /** The request-style options the request will be sent with. Middleware may change them. */
+    options: any;
+  }
+
+  interface MiddlewareResult {
+    err?: Error | null;
+    response?: any;
+    body?: any;
+  }
+
+  /**
+   * Call `next()` to pass the request on and get its result, then return that result, a changed one, or one of
+   * your own without calling `next()`. A thrown error becomes the result's `err`.
+   */
+  type Middleware = (ctx: MiddlewareContext, next: () => Promise<MiddlewareResult>) => Promise<MiddlewareResult>;
+
+  interface FixtureOptions {
+    mode: "record" | "replay";
+
+    /** Where fixtures are written to or read from */
+    directory: string;
+
+    /** Extra query string parameters to redact, besides `key`, `api_key`, `apikey` and `access_token` */
+    redactQuery?: string[];
+
+    /** Extra headers to redact, besides `X-RapidAPI-Key`, `Cookie`, `Authorization` and `Proxy-Authorization` */
+    redactHeaders?: string[];
+  }
+
+  /** Sends requests through another transport, recording every exchange into fixture files */
+  class RecordingTransport implements Transport {
+    constructor(options: { transport: Transport; directory: string; redactQuery?: string[]; redactHeaders?: string[] });
+    name: "record";
+    transport: Transport;
+    directory: string;
+    send(request: TransportRequest, callback: (err: Error | null, response?: TransportResponse) => void): void;
+  }
+
+  /** Serves recorded responses. Requests without a fixture fail with a `FixtureNotFoundError`. */
+  class ReplayTransport implements Transport {
+    constructor(options: { directory: string; redactQuery?: string[]; redactHeaders?: string[] });
+    name: "replay";
+    directory: string;
+    send(request: TransportRequest, callback: (err: Error | null, response?: TransportResponse) => void): void;
+  }
+
+  /** A minimal cookie store which works with any transport */
+  class CookieJar {
+    /**
+     * Store a cookie.
+     * @param cookie - A Set-Cookie header value, or just `name=value`
+     * @param url - The URL the cookie was received from (or is for)
+     */
+    setCookie(cookie: string, url: string): void;
+    getCookies(url: string): Array<{ name: string; value: string }>;
+
+    /** The Cookie header value for a URL. Empty if there are no cookies to send. */
+    getCookieString(url: string): string;
+  }
+
+  interface EndpointPoolOptions {
+    /** Local addresses, proxy URLs (`http://` or `https://`) or objects with a `localAddress` and/or `proxy` */
+    endpoints: Array<string | { id?: string; localAddress?: string; proxy?: string }>;
+
+    /** `round-robin` (the default), or `lru` to pick the endpoint which was used least recently */
+    strategy?: "round-robin" | "lru";
+
+    /** Milliseconds for which an evicted endpoint is left out of rotation. Defaults to `60000`. */
+    cooldown?: number;
+  }
+
+  interface Endpoint {
+    /** The given id, or else the proxy URL without its credentials, or the local address */
+    id: string;
+
+    /** The proxy URL without its credentials. `EndpointPool#getProxyURL` gives the full one. */
+    proxy: string | null;
+    localAddress: string | null;
+  }
+
+  interface EndpointStats extends Endpoint {
+    available: boolean;
+    evictedUntil: Date | null;
+    requests: number;
+    successes: number;
+    failures: number;
+    evictions: number;
+    lastUsed: Date | null;
+    lastError: string | null;
+  }
+
+  class EndpointPool extends EventEmitter {
+    constructor(options: EndpointPoolOptions);
+
+    /** Pick the endpoint for the next request. If every endpoint is cooling down, the one which recovers first is used. */
+    acquire(): Endpoint;
+
+    /** Record a request's outcome, evicting the endpoint after a 429 or a connection error */
+    report(endpoint: Endpoint, err: Error | null, response?: any): void;
+
+    /** Take an endpoint out of rotation for the cooldown */
+    evict(endpoint: Endpoint, err?: Error): void;
+
+    /** Get the full URL, including any credentials, of the proxy to send an endpoint's requests through */
+    getProxyURL(endpoint: Endpoint): string | null;
+    getStats(): EndpointStats[];
+
+    on(event: "evicted", listener: (endpoint: Endpoint, err: Error | null) => void): this;
+    on(event: "restored", listener: (endpoint: Endpoint) => void): this;
+  }
+
+  interface InventoryMetricsOptions {
+    /** Upper bounds of the latency histogram's buckets, in milliseconds */
+    buckets?: number[];
+
+    /** Milliseconds of past inventory page requests a provider's health score covers. Defaults to `300000`. */
+    healthWindow?: number;
+  }
+
+  interface LatencyHistogram {
+    count: number;
+
+    /** Total milliseconds */
+    sum: number;
+    mean: number;
+
+    /** Cumulative counts of requests which took at most `le` milliseconds */
+    buckets: Array<{ le: number; count: number }>;
+  }
+
+  interface HostStats {
+    requests: number;
+    successes: number;
+    failures: number;
+
+    /** Failures by error code, e.g. `ECONNRESET` or `HTTP_429` */
+    errors: { [errorClass: string]: number };
+    latency: LatencyHistogram;
+  }
+
+  interface ProviderStats extends HostStats {
+    retries: number;
+    pages: number;
+    items: number;
+
+    /** Between 0 and 1 */
+    health: number;
+  }
+
+  interface InventoryStats {
+    providers: { [provider: string]: ProviderStats };
+    hosts: { [host: string]: HostStats };
+  }
+
+  class InventoryMetrics {
+    constructor(options?: InventoryMetricsOptions);
+    recordRequest(source: string, host: string, err: Error | null, response: any, duration: number): void;
+    recordPage(provider: string, items: number): void;
+    recordError(provider: string, err: Error): void;
+    recordRetry(provider: string): void;
+
+    /** The share of the provider's recent inventory page requests which didn't fail through its own fault */
+    getHealth(provider: string): number;
+    getStats(): InventoryStats;
+    toPrometheus(prefix?: string): string;
+    reset(): void;
+  }
+
+  interface CacheEntry {
+    storedAt: number;
+    inventory: any[];
+    currency: any[];
+    total: number;
+  }
+
+  interface CacheStore {
+    /** Resolves to the stored entry, or `null` if there is none */
+    get(key: string): Promise<CacheEntry | null>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  interface CacheOptions {
+    /** The storage adapter. Defaults to a `MemoryCacheStore`. */
+    store?: CacheStore;
+
+    /** Milliseconds for which a cached inventory is served without fetching it again. Defaults to `60000`. */
+    ttl?: number;
+
+    /** Milliseconds past the ttl for which a cached inventory is still served while it's refreshed in the background */
+    staleWhileRevalidate?: number;
+  }
+
+  class MemoryCacheStore implements CacheStore {
+    constructor(options?: { maxEntries?: number });
+    get(key: string): Promise<CacheEntry | null>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  class FileCacheStore implements CacheStore {
+    constructor(options: { directory: string });
+    get(key: string): Promise<CacheEntry | null>;
+    set(key: string, entry: CacheEntry): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  interface RetryOptions {
+    /** How many times a request is sent in total, including the first attempt. Defaults to `5`. */
+    maxAttempts?: number;
+
+    /** Milliseconds to wait before the first retry. Doubles with every attempt. Defaults to `1000`. */
+    baseDelay?: number;
+
+    /** Upper bound of the delay, including one from a `Retry-After` header. Defaults to `30000`. */
+    maxDelay?: number;
+
+    /** Fraction by which each delay is randomly shortened or lengthened. Defaults to `0.2`. */
+    jitter?: number;
+
+    /** HTTP status codes which are retried. Defaults to 429, 500, 502, 503 and 504. */
+    statusCodes?: number[];
+
+    /** Error codes (such as `ECONNRESET`) or error classes which are retried */
+    errors?: Array<string | (new (...args: any[]) => Error)>;
+  }
+
+  interface RateLimitSettings {
+    /** Milliseconds it takes to earn one request. `0` disables limiting. */
+    interval?: number;
+
+    /** How many requests may be sent back to back after an idle period. Defaults to `1`. */
+    burst?: number;
+
+    /** How many requests may wait per host before new ones are rejected. Defaults to `100`. */
+    maxQueue?: number;
+  }
+
+  interface RateLimitOptions extends RateLimitSettings {
+    /** Per-hostname overrides, e.g. `{ "steamcommunity.com": { interval: 1500 } }` */
+    hosts?: { [hostname: string]: RateLimitSettings };
+  }
+
+  interface InventoryOptions {
+    /** The Steam application ID of the game for which you want an inventory */
+    appID: appid;
+
+    /** The ID of the "context" within the game you want to retrieve */
+    contextID: contextid;
+
+    /** true to get only tradable items and currencies */
+    tradableOnly?: boolean;
+
+    /** The language of item descriptions to return. Defaults to `english`. */
+    language?: string;
+  }
+
+  interface InventoryResult {
+    inventory: CEconItem[];
+    currency: CEconItem[];
+    total: number;
+  }
+
+  interface InventoryPageResult {
+    inventory: CEconItem[];
+    currency: CEconItem[];
+    last_assetid: string | null;
+    more_items: boolean;
+    total_inventory_count: number;
+  }
+
+  type InventoryCallback = (err: Error | null, inventory: CEconItem[], currencies: CEconItem[], total: number) => void;
+
+  interface ProviderInventoryOptions extends InventoryOptions {
+    /** The provider's API key, if it requires one */
+    apiKey?: string;
+
+    /**
+     * Only keep items matching this query or serialized query. Its sort order doesn't apply. A serialized query can't
+     * hold regular expression name filters; build an InventoryQuery for those.
+     */
+    filter?: InventoryQuery | InventoryQuerySpec;
+
+    /** Overrides of the instance's retry policy settings for this call */
+    retry?: RetryOptions;
+
+    /** Where to send this call's requests instead of the provider's own host */
+    baseURL?: string;
+
+    /** true to fetch the inventory even if the cache holds a fresh copy */
+    forceRefresh?: boolean;
+
+    /** false to bypass the cache entirely */
+    cache?: boolean;
+  }
+
+  interface FallbackInventoryOptions extends ProviderInventoryOptions {
+    /** Decides whether to try the next provider after an error. Defaults to trying it on retryable errors only. */
+    shouldFallback?: (err: CallbackError, provider: string) => boolean;
+  }
+
+  type FallbackProvider = string | InventoryProvider | { provider: string | InventoryProvider; apiKey?: string };
+
+  interface InventoryFilterSpec {
+    type: "tradable" | "marketable" | "commodity" | "tag" | "name" | "tradeHold" | "fraudWarnings";
+    [key: string]: any;
+  }
+
+  interface InventoryQueryOptions {
+    /**
+     * Accept `name` filters with a regular expression in the spec. A regular expression can take exponential time on a
+     * crafted input, so only set this for specs you trust.
+     */
+    allowRegExp?: boolean;
+  }
+
+  interface InventoryQuerySpec {
+    filters?: InventoryFilterSpec[];
+    sort?: { by: string; order?: "asc" | "desc" } | null;
+  }
+
+  /**
+   * A chainable filter and sort over arrays of CEconItem, which can be serialized to and rebuilt from JSON.
+   */
+  class InventoryQuery {
+    /** The built-in filters, keyed by the `type` of their serialized form */
+    static filters: { [type: string]: (item: CEconItem, filter: InventoryFilterSpec) => boolean };
+
+    /** The longest `name` pattern accepted. Defaults to `200`. */
+    static MAX_PATTERN_LENGTH: number;
+
+    /**
+     * Rebuild a query from its serialized form.
+     * @param spec - A serialized query, or its JSON string
+     */
+    static fromJSON(spec: InventoryQuerySpec | string, options?: InventoryQueryOptions): InventoryQuery;
+
+    constructor(spec?: InventoryQuerySpec, options?: InventoryQueryOptions);
+
+    /** Keep only items which are (or aren't) tradable. */
+    tradable(value?: boolean): this;
+
+    /** Keep only items which are (or aren't) marketable. */
+    marketable(value?: boolean): this;
+
+    /** Keep only items which are (or aren't) commodities. */
+    commodity(value?: boolean): this;
+
+    /**
+     * Keep only items with a tag in a category, optionally with one of the given values.
+     * @param category - The tag's category, as passed to `CEconItem#getTag`
+     * @param value - Matched against the tag's internal_name and its name
+     */
+    tag(category: string, value?: string | string[]): this;
+
+    /**
+     * Keep only items whose market_hash_name matches a pattern.
+     * Throws if the pattern is invalid or longer than `MAX_PATTERN_LENGTH`.
+     * @param options - `match` is how a string pattern matches: `regexp` (the default), `contains` (a literal
+     *     substring) or `glob` (`*` and `?` wildcards). Only `contains` and `glob` can be rebuilt from a serialized spec
+     *     without `allowRegExp`. `ignoreCase` applies to those two.
+     */
+    name(pattern: RegExp | string, options?: { match?: "regexp" | "contains" | "glob"; ignoreCase?: boolean }): this;
+
+    /** Keep only items which are (or aren't) on a trade hold, i.e. have a `cache_expiration` in the future. */
+    tradeHold(value?: boolean): this;
+
+    /** Keep only items which have (or don't have) fraud warnings. */
+    fraudWarnings(value?: boolean): this;
+
+    /**
+     * Sort the results.
+     * @param by - `pos`, `name`, or `tag:` followed by a tag category
+     * @param order - `asc` (the default) or `desc`
+     */
+    sortBy(by: string, order?: "asc" | "desc"): this;
+
+    /** Check whether an item passes every filter. */
+    test(item: CEconItem): boolean;
+
+    /** Filter and sort an array of items. The array itself isn't modified. */
+    run(items: CEconItem[]): CEconItem[];
+
+    /** Get the serialized form of this query. */
+    toJSON(): InventoryQuerySpec;
+  }
+
+  interface ProviderContext {
+    steamID: SteamID;
+    appID: appid;
+    contextID: contextid;
+    language: string;
+    apiKey?: string;
+    tradableOnly: boolean;
+    filter: InventoryQuery;
+
+    /** The scheme and host to send requests to */
+    baseURL?: string;
+  }
+
+  interface InventoryPage {
+    assets: any[];
+    descriptions: any[];
+    total: number;
+    moreItems: boolean;
+    lastAssetID: string | null;
+  }
+
+  interface InventoryProvider {
+    /** A unique name, also used as the httpRequest source */
+    name: string;
+
+    /** true if `options.apiKey` must be set */
+    requiresApiKey?: boolean;
+
+    /** The scheme and host requests go to, which the `baseURL` option can override */
+    baseURL?: string;
+
+    /** Returns the httpRequest options for the page starting at `start` */
+    buildRequest(ctx: ProviderContext, start: string | undefined): any;
+
+    /** Returns the parsed page, or an Error if the body isn't a valid page */
+    parsePage(body: any, response: any, ctx: ProviderContext): InventoryPage | Error;
+
+    /** Returns the start of the next page, or null if `page` was the last one */
+    getNextCursor?(page: InventoryPage): string | null;
+
+    /** Maps an HTTP error to the Error to report. Called with the SteamInventory as `this` */
+    classifyError(this: SteamInventory, err: CallbackError, response: any, body: any, ctx: ProviderContext): Error;
+  }
+
+  interface ItemSummary {
+    appid: number;
+    contextid: string;
+    assetid?: string;
+    currencyid?: string;
+    classid: string;
+    instanceid: string;
+    amount: number;
+    market_hash_name: string;
+  }
+
+  interface InventoryDiff {
+    added: ItemSummary[];
+    removed: ItemSummary[];
+    changed: Array<{ before: ItemSummary; after: ItemSummary; amountDelta: number }>;
+    moved: Array<{ from: ItemSummary; to: ItemSummary }>;
+  }
+
+  interface AppInventoryOptions extends ProviderInventoryOptions {
+    /** The context IDs to fetch. Omit to fetch every context listed on the user's inventory page. */
+    contexts?: Array<contextid | string>;
+
+    /** The provider to fetch each context with. Defaults to `steamcommunity`. */
+    provider?: string | InventoryProvider;
+  }
+
+  interface ContextResult {
+    total: number;
+    error: Error | null;
+  }
+
+  interface AppInventoryResult extends InventoryResult {
+    contexts: { [contextID: string]: ContextResult };
+  }
+
+  interface BulkInventoryOptions extends Partial<ProviderInventoryOptions> {
+    /** How many inventories to fetch at once. Defaults to `5`. */
+    concurrency?: number;
+
+    /** The provider to fetch inventories with. Defaults to `steamcommunity`. */
+    provider?: string | InventoryProvider;
+
+    /** SteamID64s from a previous run's checkpoint to skip */
+    completed?: string[];
+  }
+
+  interface BulkInventoryResult {
+    results: { [steamID64: string]: InventoryResult };
+    errors: { [steamID64: string]: Error };
+
+    /**
+     * The SteamID64s fetched successfully, including skipped ones. Persist it to resume the batch later; users which
+     * failed aren't in it, so a resumed batch retries them.
+     */
+    completed: string[];
+  }
+
+  interface BulkProgress {
+    steamID: string;
+    error: Error | null;
+    done: number;
+    total: number;
+
+    /** How many users were fetched successfully in this run so far */
+    succeeded: number;
+
+    /** How many users failed in this run so far */
+    failed: number;
+  }
+
+  interface WatchOptions extends ProviderInventoryOptions {
+    /** The provider to poll. Defaults to `steamcommunity`. */
+    provider?: string | InventoryProvider;
+
+    /** Milliseconds between the end of one poll and the start of the next. Defaults to `60000`. */
+    interval?: number;
+  }
+
+  interface ExportColumn {
+    name: string;
+    value: (item: CEconItem) => any;
+  }
+
+  interface ExportOptions {
+    /** Defaults to `csv` */
+    format?: "csv" | "ndjson";
+
+    /** Names of built-in columns, or custom columns. Defaults to `InventoryExportStream.DEFAULT_COLUMNS`. */
+    columns?: Array<string | ExportColumn>;
+
+    /** Tag categories to add as columns named `tag:<category>`, holding the name of the item's tag in that category */
+    tagCategories?: string[];
+
+    /** The CSV field delimiter. Defaults to `,`. */
+    delimiter?: string;
+
+    /** Whether to start CSV output with a header row. Defaults to `true`. */
+    header?: boolean;
+  }
+
+  interface ExportInventoryOptions extends ProviderInventoryOptions {
+    /** Export options, plus `end` (default `true`) to end the writable stream once the export completes */
+    export?: ExportOptions & { end?: boolean };
+  }
+
+  /**
+   * A stream which turns the CEconItems, arrays of CEconItems or inventory pages written to it into CSV or NDJSON.
+   */
+  class InventoryExportStream extends Transform {
+    constructor(options?: ExportOptions);
+
+    /** The built-in columns, keyed by name */
+    static COLUMNS: { [name: string]: (item: CEconItem) => any };
+    static DEFAULT_COLUMNS: string[];
+
+    format: "csv" | "ndjson";
+    delimiter: string;
+    columns: ExportColumn[];
+  }
+
+  class InventoryWatcher extends EventEmitter {
+    /** The inventory as of the last successful poll, or `null` before the first one */
+    inventory: CEconItem[] | null;
+    currency: CEconItem[] | null;
+
+    /** Stop polling. No more events are emitted afterwards. */
+    stop(): void;
+
+    on(event: "itemAdded" | "itemRemoved", listener: (item: CEconItem) => void): this;
+    on(event: "itemChanged", listener: (item: CEconItem, previousItem: CEconItem) => void): this;
+    on(event: "poll", listener: (inventory: CEconItem[], currency: CEconItem[]) => void): this;
+
+    /** A poll failed. Polling carries on. Without a listener, failed polls are skipped silently. */
+    on(event: "error", listener: (err: Error) => void): this;
+  }
+
+  /**
+   * The base class of every error the inventory getters report. Network errors are passed on as they are.
+   */
+  class SteamInventoryError extends Error {
+    /** A stable string identifying the kind of error, such as `ERR_PRIVATE_PROFILE` */
+    code: string;
+
+    /** The name of the provider which reported the error, if any */
+    provider: string | null;
+
+    /** The HTTP status code of the response, if any */
+    statusCode: number | null;
+
+    /** The numeric EResult Steam reported, if any */
+    eresult: number | null;
+
+    /** Set if the failed request may succeed when sent again */
+    retryable?: boolean;
+
+    /** The network error this one wraps, if any. Its `code` is the transport's, such as `ECONNRESET`. */
+    cause?: Error & { code?: string };
+
+    constructor(message: string, details?: { [key: string]: any });
+  }
+
+  /** The inventory (or the whole profile) isn't public. Code `ERR_PRIVATE_PROFILE`. */
+  class PrivateProfileError extends SteamInventoryError {}
+
+  /** The provider rejected the API key. Code `ERR_INVALID_API_KEY`. */
+  class InvalidApiKeyError extends SteamInventoryError {}
+
+  /** Too many requests were made, according to the provider or to the local request queue. Code `ERR_RATE_LIMITED`. */
+  class RateLimitedError extends SteamInventoryError {}
+
+  /** The response couldn't be parsed as an inventory page. Code `ERR_MALFORMED_RESPONSE`. */
+  class MalformedResponseError extends SteamInventoryError {}
+
+  /** The request needed a login which is missing or has expired. Code `ERR_SESSION_EXPIRED`. */
+  class SessionExpiredError extends SteamInventoryError {}
+
+  /** The provider failed to answer, e.g. with a 5xx response. Code `ERR_PROVIDER_UNAVAILABLE`. */
+  class ProviderUnavailableError extends SteamInventoryError {}
+
+  /** A request was replayed which has no recorded response. Code `ERR_FIXTURE_NOT_FOUND`. */
+  class FixtureNotFoundError extends SteamInventoryError {
+    /** The fixture file which was looked for */
+    fixture: string;
+  }
+
+  interface CS2Details {
+    /** The "Inspect in Game" link, or `null` if there is none or the owner's SteamID is needed but wasn't given */
+    inspectLink: string | null;
+
+    /** e.g. "Field-Tested" */
+    exterior: string | null;
+
+    /** e.g. "Classified" */
+    rarity: string | null;
+    rarityColor: string | null;
+
+    /** e.g. "StatTrak™", "Souvenir" or "★" */
+    quality: string | null;
+    statTrak: boolean;
+    souvenir: boolean;
+
+    /** e.g. "Rifle" */
+    type: string | null;
+
+    /** e.g. "AK-47" */
+    weapon: string | null;
+    stickers: string[];
+    patches: string[];
+    charms: string[];
+
+    /** The custom name applied with a name tag, if any */
+    nameTag: string | null;
+  }
+
+  type CommunityItemKind =
+    | "tradingCard"
+    | "foilTradingCard"
+    | "boosterPack"
+    | "profileBackground"
+    | "emoticon"
+    | "gems"
+    | "sackOfGems"
+    | "other";
+
+  interface BadgeSetCard {
+    market_hash_name: string;
+    name: string;
+    amount: number;
+    assetids: string[];
+  }
+
+  interface BadgeSet {
+    /** The app the cards belong to, i.e. their `market_fee_app` */
+    appid: number;
+    foil: boolean;
+    cards: BadgeSetCard[];
+    distinctCards: number;
+
+    /** The number of distinct cards in the app's set, if it was passed in `setSizes` */
+    setSize: number | null;
+
+    /** The number of complete sets, or `null` if the set size isn't known */
+    sets: number | null;
+  }
+
+  interface InventorySnapshot {
+    version: number;
+
+    /** The name of the provider the inventory was fetched from, if given */
+    provider: string | null;
+    steamid: string | null;
+    appid: number | null;
+    contextid: string | null;
+    total: number;
+
+    /** ISO 8601 */
+    serializedAt: string;
+
+    /** Asset properties, plus any description properties which differ from the shared description */
+    assets: object[];
+    currency: object[];
+
+    /** Keyed by `classid_instanceid` */
+    descriptions: { [classid_instanceid: string]: object };
+  }
+
+  interface DeserializedInventory {
+    inventory: CEconItem[];
+    currency: CEconItem[];
+    total: number;
+    provider: string | null;
+    steamid: string | null;
+    appid: number | null;
+    contextid: string | null;
+    serializedAt: string;
+  }
+
+  interface SummaryBucket {
+    amount: number;
+    assetids: string[];
+  }
+
+  interface InventorySummaryGroup extends SummaryBucket {
+    /** The market_hash_name, classid or tag name the group's items share. `null` for items missing the grouped tag. */
+    key: string | null;
+    tradable: SummaryBucket;
+
+    /** Items which aren't tradable and aren't on a trade hold either */
+    nonTradable: SummaryBucket;
+
+    /** Items on trade hold, by the date the hold ends, earliest first */
+    tradeHolds: Array<SummaryBucket & { until: string }>;
+    earliestCacheExpiration: string | null;
+
+    /** Description data of the group's first item */
+    description: {
+      appid: number;
+      classid: string;
+      instanceid: string;
+      name: string;
+      market_hash_name: string;
+      type: string;
+      icon_url: string;
+      name_color: string;
+    };
+  }
+
+  interface InventorySummary {
+    groups: InventorySummaryGroup[];
+
+    /** Currencies, grouped by name */
+    currency: InventorySummaryGroup[];
+  }
+
+  interface TF2Attributes {
+    /** The item's definition index, or `null` if it couldn't be determined */
+    defindex: number | null;
+
+    /** The numeric quality, e.g. 6 for Unique */
+    quality: number | null;
+
+    /** e.g. "Unique" */
+    qualityName: string | null;
+
+    /** Whether the item is strange on top of another quality, e.g. "Strange Unusual" */
+    elevatedStrange: boolean;
+    craftable: boolean;
+
+    /** 0 for none, 1 for Killstreak, 2 for Specialized and 3 for Professional */
+    killstreak: number;
+
+    /** e.g. "Team Shine" */
+    sheen: string | null;
+
+    /** e.g. "Fire Horns" */
+    killstreaker: string | null;
+    australium: boolean;
+    festivized: boolean;
+
+    /** The unusual effect's ID, or `null` if the item has none or it isn't known */
+    effect: number | null;
+
+    /** e.g. "Burning Flames" */
+    effectName: string | null;
+
+    /** The paint's color as a decimal number, or `null` if the item isn't painted or the paint isn't known */
+    paint: number | null;
+
+    /** e.g. "Australium Gold" */
+    paintName: string | null;
+
+    /** e.g. ["Robots Destroyed"] */
+    strangeParts: string[];
+
+    /** 1 (Factory New) to 5 (Battle Scarred), for war paints and decorated weapons */
+    wear: number | null;
+    crateSeries: number | null;
   }
 
   interface CEconItemDescription {
@@ -183,13 +1146,323 @@ declare module "steam-inventory" {
      * @param category - A string containing the tag's category (the `category` property of the tag object).
      */
     getTag(category: string): Tag | null;
+
+    /**
+     * Returns the item's CS2 "Inspect in Game" link, or `null` if it has none.
+     *
+     * @param ownerSteamID - The SteamID of the inventory the item is in
+     */
+    getInspectLink(ownerSteamID?: userid): string | null;
+
+    /**
+     * Returns the item's CS2 details, or `null` for items of other apps.
+     *
+     * @param ownerSteamID - The SteamID of the inventory the item is in, used for the inspect link
+     */
+    getCS2Details(ownerSteamID?: userid): CS2Details | null;
+
+    /**
+     * Returns the item's TF2 attributes, or `null` for items of other apps.
+     */
+    getTF2Attributes(): TF2Attributes | null;
+
+    /**
+     * Returns the item's TF2 SKU, e.g. `5021;6`, or `null` if it isn't a TF2 item or its defindex or quality is unknown.
+     */
+    getSKU(): string | null;
+
+    /**
+     * Returns what kind of Steam Community item this is, or `null` for items outside the Steam Community (753/6) inventory.
+     */
+    getCommunityItemKind(): CommunityItemKind | null;
+
+    /**
+     * Rebuild a CEconItem from a plain object, such as one of its own JSON serializations.
+     * @param data
+     */
+    static revive(data: any): CEconItem;
   }
 
   export default class SteamInventory extends EventEmitter {
     steamID: SteamID;
 
+    /** The transport HTTP requests are sent with */
+    transport: Transport;
+
     constructor(options?: Options);
 
+    static CEconItem: typeof CEconItem;
+    static InventoryQuery: typeof InventoryQuery;
+    static InventoryExportStream: typeof InventoryExportStream;
+    static SteamInventoryError: typeof SteamInventoryError;
+    static PrivateProfileError: typeof PrivateProfileError;
+    static InvalidApiKeyError: typeof InvalidApiKeyError;
+    static RateLimitedError: typeof RateLimitedError;
+    static MalformedResponseError: typeof MalformedResponseError;
+    static SessionExpiredError: typeof SessionExpiredError;
+    static ProviderUnavailableError: typeof ProviderUnavailableError;
+    static FixtureNotFoundError: typeof FixtureNotFoundError;
+    static MemoryCacheStore: typeof MemoryCacheStore;
+    static FileCacheStore: typeof FileCacheStore;
+    static EndpointPool: typeof EndpointPool;
+    static InventoryMetrics: typeof InventoryMetrics;
+    static CookieJar: typeof CookieJar;
+    static NativeTransport: typeof NativeTransport;
+    static RequestTransport: typeof RequestTransport;
+    static RecordingTransport: typeof RecordingTransport;
+    static ReplayTransport: typeof ReplayTransport;
+    static FakeSteamServer: typeof FakeSteamServer;
+
+    /**
+     * Create a stream which turns the CEconItems (or arrays or inventory pages of them) written to it into CSV or NDJSON.
+     * @param options
+     */
+    static createExportStream(options?: ExportOptions): InventoryExportStream;
+
+    /**
+     * Compare two snapshots of an inventory. Items are matched by contextid and assetid (or currencyid).
+     * Unless `options.detectMoves` is false, a removed and an added item sharing appid, classid and instanceid
+     * are reported as `moved` instead.
+     * @param before
+     * @param after
+     * @param options
+     */
+    static diffInventories(
+      before: CEconItem[],
+      after: CEconItem[],
+      options?: { detectMoves?: boolean }
+    ): InventoryDiff;
+
+    /**
+     * Group the trading cards among a list of Steam Community items by app, counting the complete badge sets.
+     * Foil cards are grouped separately.
+     * @param items
+     * @param options - `setSizes` maps appids to the number of distinct cards in their set
+     */
+    static getBadgeSets(items: CEconItem[], options?: { setSizes?: { [appid: string]: number } }): BadgeSet[];
+
+    /**
+     * Serialize an inventory into a compact snapshot which stores each description once, keyed by `classid_instanceid`.
+     * @param inventory
+     * @param currency
+     * @param metadata - Stored alongside the items
+     */
+    static serializeInventory(
+      inventory: CEconItem[],
+      currency?: CEconItem[],
+      metadata?: { provider?: string | InventoryProvider; steamID?: userid; appID?: number; contextID?: number; total?: number }
+    ): InventorySnapshot;
+
+    /**
+     * Rebuild an inventory of `CEconItem` instances from a snapshot made by `serializeInventory`.
+     * @param snapshot - The snapshot, or its JSON
+     */
+    static deserializeInventory(snapshot: InventorySnapshot | string): DeserializedInventory;
+
+    /**
+     * Collapse an inventory into groups of identical items, split by tradability and trade hold date.
+     * @param items - Items, or an inventory getter's result (whose currency is summarized separately)
+     * @param options - `groupBy` is `name` (market_hash_name, the default), `classid` or `tag:<category>`
+     */
+    static summarizeInventory(
+      items: CEconItem[] | { inventory: CEconItem[]; currency: CEconItem[] },
+      options?: { groupBy?: "name" | "classid" | string }
+    ): InventorySummary;
+
+    /**
+     * Register an inventory provider which can then be passed by name to `getInventory`.
+     * @param provider
+     */
+    static registerProvider(provider: InventoryProvider): void;
+
+    /**
+     * Get a registered inventory provider, or `null` if there is none by that name.
+     * @param provider - A provider name, or a provider object which is returned as is
+     */
+    static getProvider(provider: string | InventoryProvider): InventoryProvider | null;
+
+    /**
+     * Get the contents of a user's inventory context through an inventory provider.
+     * @param provider - The name of a registered provider (`steamcommunity`, `webapi`, `steamapis`, `steamsupply`, `rapidapi`), or a provider object
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter, language and API key to use
+     * @param callback
+     */
+    getInventory(
+      provider: string | InventoryProvider,
+      userID: userid,
+      options: ProviderInventoryOptions,
+      callback: InventoryCallback
+    ): void;
+    getInventory(
+      provider: string | InventoryProvider,
+      userID: userid,
+      options: ProviderInventoryOptions
+    ): Promise<InventoryResult>;
+
+    /**
+     * Iterate over the pages of a user's inventory context as they arrive, instead of buffering the whole inventory.
+     * Breaking out of the loop stops fetching further pages.
+     * @param provider - The name of a registered provider, or a provider object
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The same options as `getInventory`
+     */
+    iterateInventory(
+      provider: string | InventoryProvider,
+      userID: userid,
+      options: ProviderInventoryOptions
+    ): AsyncIterableIterator<InventoryPageResult>;
+
+    /**
+     * Get the contents of a user's inventory context, trying each provider in turn until one answers.
+     * Only retryable errors (rate limits, server and network errors, exhausted keys) move on to the next provider.
+     * @param providers - Provider names or objects, or `{ provider, apiKey }` entries for providers needing their own key
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The same options as `getInventory`
+     * @param callback
+     */
+    getInventoryWithFallback(
+      providers: FallbackProvider[],
+      userID: userid,
+      options: FallbackInventoryOptions,
+      callback: (
+        err: CallbackError,
+        inventory: CEconItem[],
+        currencies: CEconItem[],
+        total: number,
+        provider: string
+      ) => void
+    ): void;
+    getInventoryWithFallback(
+      providers: FallbackProvider[],
+      userID: userid,
+      options: FallbackInventoryOptions
+    ): Promise<InventoryResult & { provider: string }>;
+
+    /**
+     * Get the apps and contexts a user's inventory holds, as listed in `g_rgAppContextData` on their inventory page.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param callback
+     */
+    getInventoryContexts(userID: userid, callback: (err: CallbackError, apps: { [appid: string]: any }) => void): void;
+    getInventoryContexts(userID: userid): Promise<{ apps: { [appid: string]: any } }>;
+
+    /**
+     * Get the contents of several contexts of a user's inventory in one call. A failing context doesn't fail the
+     * whole call; its error is reported under `contexts` instead. Each item's `pos` is renumbered to run across the
+     * merged inventory and currency, in the order the contexts were fetched.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param options - The contexts, provider and getInventory options to use
+     * @param callback
+     */
+    getAppInventory(
+      userID: userid,
+      appID: appid,
+      options: Partial<AppInventoryOptions>,
+      callback: (
+        err: CallbackError,
+        inventory: CEconItem[],
+        currencies: CEconItem[],
+        total: number,
+        contexts: { [contextID: string]: ContextResult }
+      ) => void
+    ): void;
+    getAppInventory(userID: userid, appID: appid, options?: Partial<AppInventoryOptions>): Promise<AppInventoryResult>;
+
+    /**
+     * Get the same inventory context of many users, a few at a time. A failing user doesn't fail the batch.
+     * Emits `bulkProgress` after each user.
+     * @param steamIDs
+     * @param appID - The Steam application ID of the game for which you want inventories
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param options - The concurrency, provider, checkpoint and getInventory options to use
+     * @param callback
+     */
+    getInventoriesBulk(
+      steamIDs: userid[],
+      appID: appid,
+      contextID: contextid,
+      options: BulkInventoryOptions,
+      callback: (
+        err: CallbackError,
+        results: BulkInventoryResult["results"],
+        errors: BulkInventoryResult["errors"],
+        completed: BulkInventoryResult["completed"]
+      ) => void
+    ): void;
+    getInventoriesBulk(
+      steamIDs: userid[],
+      appID: appid,
+      contextID: contextid,
+      options?: BulkInventoryOptions
+    ): Promise<BulkInventoryResult>;
+
+    /**
+     * Poll a user's inventory context and emit `itemAdded`, `itemRemoved`, `itemChanged` and `error` events
+     * on the returned watcher until it's stopped.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param options - The provider, poll interval and getInventory options to use
+     */
+    watchInventory(userID: userid, appID: appid, contextID: contextid, options?: WatchOptions): InventoryWatcher;
+
+    /**
+     * Get the health of every endpoint in the pool given as the `endpointPool` option. Empty if there is no pool.
+     */
+    getEndpointStats(): EndpointStats[];
+
+    /**
+     * Get the request counters, latency histograms and health scores collected so far, per provider and per host.
+     * Requests and latency count every HTTP request sent; successes, errors, retries, pages and items count inventory
+     * page requests.
+     */
+    getStats(): InventoryStats;
+
+    /**
+     * Get the statistics of getStats in the Prometheus text exposition format
+     * @param prefix - Prepended to every metric name. Defaults to `steam_inventory_`.
+     */
+    getPrometheusMetrics(prefix?: string): string;
+
+    /**
+     * Get a provider's rolling health score between 0 and 1: the share of its recent inventory page requests which
+     * didn't fail through its own fault (rate limits, server and network errors). 1 if it wasn't used recently.
+     */
+    getProviderHealth(provider: string | InventoryProvider): number;
+
+    /**
+     * Add a middleware around the transport of every HTTP request, or of those from some sources.
+     * Middleware run in the order they were added, before the response's error checks. Rate limiting applies only when a
+     * request is passed on to the transport, so a middleware answering on its own (e.g. from a cache) isn't delayed.
+     * @param middleware
+     * @param options - `source` limits the middleware to requests from these sources, e.g. provider names
+     */
+    use(middleware: Middleware, options?: { source?: string | string[] | RegExp }): this;
+
+    /**
+     * Fetch an inventory page by page and write it to a stream as CSV or NDJSON.
+     * @param provider - The name of a registered provider, or a provider object
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The same options as `getInventory`, plus export options
+     * @param writable - Where to write the export, e.g. a file stream
+     * @param callback - Called with the number of exported items
+     */
+    exportInventory(
+      provider: string | InventoryProvider,
+      userID: userid,
+      options: ExportInventoryOptions,
+      writable: Writable,
+      callback: (err: CallbackError, count: number) => void
+    ): void;
+    exportInventory(
+      provider: string | InventoryProvider,
+      userID: userid,
+      options: ExportInventoryOptions,
+      writable: Writable
+    ): Promise<{ count: number }>;
+
     /**
      * Get the contents of a user's inventory context.
      * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
@@ -205,7 +1478,7 @@ declare module "steam-inventory" {
       contextID: contextid,
       tradableOnly: boolean,
       language: string,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
     /**
@@ -221,9 +1494,40 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
+    /**
+     * Get the contents of a user's inventory context.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     * @param callback
+     */
+    getUserInventoryContents(userID: userid, options: InventoryOptions, callback: InventoryCallback): void;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     */
+    getUserInventoryContents(userID: userid, options: InventoryOptions): Promise<InventoryResult>;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param tradableOnly - true to get only tradable items and currencies
+     * @param language - The language of item descriptions to return
+     */
+    getUserInventoryContents(
+      userID: userid,
+      appID: appid,
+      contextID: contextid,
+      tradableOnly: boolean,
+      language?: string
+    ): Promise<InventoryResult>;
+
     /**
      * Get the contents of a user's inventory context.
      * @param apiKey - The steam web api key
@@ -240,8 +1544,8 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      language,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      language: string,
+      callback: InventoryCallback
     ): any;
 
     /**
@@ -259,9 +1563,44 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam web api key
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     * @param callback
+     */
+    getInventoryItemsWithDescriptions(apiKey: string, userID: userid, options: InventoryOptions, callback: InventoryCallback): void;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam web api key
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     */
+    getInventoryItemsWithDescriptions(apiKey: string, userID: userid, options: InventoryOptions): Promise<InventoryResult>;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam web api key
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param tradableOnly - true to get only tradable items and currencies
+     * @param language - The language of item descriptions to return
+     */
+    getInventoryItemsWithDescriptions(
+      apiKey: string,
+      userID: userid,
+      appID: appid,
+      contextID: contextid,
+      tradableOnly: boolean,
+      language?: string
+    ): Promise<InventoryResult>;
+
     /**
      * Get the contents of a user's inventory context.
      * @param apiKey - The steamapis apikey
@@ -279,7 +1618,7 @@ declare module "steam-inventory" {
       contextID: contextid,
       tradableOnly: boolean,
       language: string,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
     /**
@@ -297,9 +1636,44 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steamapis apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     * @param callback
+     */
+    getUserInventorySteamApis(apiKey: string, userID: userid, options: InventoryOptions, callback: InventoryCallback): void;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steamapis apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     */
+    getUserInventorySteamApis(apiKey: string, userID: userid, options: InventoryOptions): Promise<InventoryResult>;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steamapis apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param tradableOnly - true to get only tradable items and currencies
+     * @param language - The language of item descriptions to return
+     */
+    getUserInventorySteamApis(
+      apiKey: string,
+      userID: userid,
+      appID: appid,
+      contextID: contextid,
+      tradableOnly: boolean,
+      language?: string
+    ): Promise<InventoryResult>;
+
     /**
      * Get the contents of a user's inventory context.
      * @param apiKey - The steam.supply apikey
@@ -317,7 +1691,7 @@ declare module "steam-inventory" {
       contextID: contextid,
       tradableOnly: boolean,
       language: string,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
     /**
@@ -335,9 +1709,44 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
 
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam.supply apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     * @param callback
+     */
+    getUserInventorySteamSupply(apiKey: string, userID: userid, options: InventoryOptions, callback: InventoryCallback): void;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam.supply apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     */
+    getUserInventorySteamSupply(apiKey: string, userID: userid, options: InventoryOptions): Promise<InventoryResult>;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The steam.supply apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param tradableOnly - true to get only tradable items and currencies
+     * @param language - The language of item descriptions to return
+     */
+    getUserInventorySteamSupply(
+      apiKey: string,
+      userID: userid,
+      appID: appid,
+      contextID: contextid,
+      tradableOnly: boolean,
+      language?: string
+    ): Promise<InventoryResult>;
+
     /**
      * Get the contents of a user's inventory context.
      * @param apiKey - The rapid service apikey
@@ -353,7 +1762,42 @@ declare module "steam-inventory" {
       appID: appid,
       contextID: contextid,
       tradableOnly: boolean,
-      callback: (err: Error | null, inventory: CEconItem[], currencies: CEconItem[]) => void
+      callback: InventoryCallback
     ): any;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The rapid service apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     * @param callback
+     */
+    getUserInventoryRapid(apiKey: string, userID: userid, options: InventoryOptions, callback: InventoryCallback): void;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The rapid service apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param options - The app, context, tradable filter and language to fetch
+     */
+    getUserInventoryRapid(apiKey: string, userID: userid, options: InventoryOptions): Promise<InventoryResult>;
+
+    /**
+     * Get the contents of a user's inventory context.
+     * @param apiKey - The rapid service apikey
+     * @param userID - The user's SteamID as a SteamID object or a string which can parse into one
+     * @param appID - The Steam application ID of the game for which you want an inventory
+     * @param contextID - The ID of the "context" within the game you want to retrieve
+     * @param tradableOnly - true to get only tradable items and currencies
+     * @param language - The language of item descriptions to return
+     */
+    getUserInventoryRapid(
+      apiKey: string,
+      userID: userid,
+      appID: appid,
+      contextID: contextid,
+      tradableOnly: boolean,
+      language?: string
+    ): Promise<InventoryResult>;
   }
 }
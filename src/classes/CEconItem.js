@@ -1,3 +1,7 @@
+const CS2 = require("../items/cs2.js");
+const TF2 = require("../items/tf2.js");
+const Community = require("../items/community.js");
+
 function CEconItem(item, description, contextID) {
   var thing;
   for (thing in item) {
@@ -118,4 +122,58 @@ CEconItem.prototype.getTag = function (category) {
   return null;
 };
 
+/**
+ * Get the item's CS2 "Inspect in Game" link, or null if it has none.
+ * @param {SteamID|string} [ownerSteamID] - The SteamID of the inventory the item is in
+ * @returns {string|null}
+ */
+CEconItem.prototype.getInspectLink = function (ownerSteamID) {
+  return CS2.getInspectLink(this, ownerSteamID);
+};
+
+/**
+ * Get the item's CS2 details: inspect link, exterior, rarity, quality, StatTrak and Souvenir flags, weapon type,
+ * stickers, patches, charms and name tag. Returns null for items of other apps.
+ * @param {SteamID|string} [ownerSteamID] - The SteamID of the inventory the item is in, used for the inspect link
+ * @returns {object|null}
+ */
+CEconItem.prototype.getCS2Details = function (ownerSteamID) {
+  return CS2.getDetails(this, ownerSteamID);
+};
+
+/**
+ * Get the item's TF2 attributes: defindex, quality, craftability, killstreak, australium, festivized, unusual effect,
+ * paint, strange parts and wear. Returns null for items of other apps.
+ * @returns {object|null}
+ */
+CEconItem.prototype.getTF2Attributes = function () {
+  return TF2.getAttributes(this);
+};
+
+/**
+ * Get the item's TF2 SKU, e.g. "5021;6" for a Mann Co. Supply Crate Key.
+ * @returns {string|null} null if it isn't a TF2 item or its defindex or quality can't be determined
+ */
+CEconItem.prototype.getSKU = function () {
+  return TF2.getSKU(this);
+};
+
+/**
+ * Get what kind of Steam Community item this is, from its item_class and cardborder tags.
+ * @returns {string|null} "tradingCard", "foilTradingCard", "boosterPack", "profileBackground", "emoticon", "gems",
+ *   "sackOfGems" or "other", or null for items outside the Steam Community inventory
+ */
+CEconItem.prototype.getCommunityItemKind = function () {
+  return Community.getItemKind(this);
+};
+
+/**
+ * Rebuild a CEconItem from a plain object, such as one of its own JSON serializations.
+ * @param {object} data
+ * @returns {CEconItem}
+ */
+CEconItem.revive = function (data) {
+  return Object.assign(Object.create(CEconItem.prototype), data);
+};
+
 module.exports = CEconItem;
@@ -0,0 +1,107 @@
+/**
+ * A minimal cookie store which doesn't depend on the HTTP library in use.
+ * Honors the Domain, Path, Secure, Expires and Max-Age attributes; ignores the rest.
+ */
+function CookieJar() {
+  this._cookies = [];
+}
+
+/**
+ * Store a cookie, replacing any with the same name, domain and path.
+ * @param {string} cookie - A Set-Cookie header value, or just "name=value"
+ * @param {string} url - The URL the cookie was received from (or is for)
+ */
+CookieJar.prototype.setCookie = function (cookie, url) {
+  var target = new URL(url);
+  var parts = cookie.split(";");
+  var pair = parts.shift();
+  var separator = pair.indexOf("=");
+
+  if (separator < 1) {
+    return;
+  }
+
+  var entry = {
+    name: pair.substring(0, separator).trim(),
+    value: pair.substring(separator + 1).trim(),
+    domain: target.hostname,
+    hostOnly: true,
+    path: "/",
+    secure: false,
+    expires: null,
+  };
+
+  parts.forEach(function (part) {
+    var separator = part.indexOf("=");
+    var name = (separator == -1 ? part : part.substring(0, separator)).trim().toLowerCase();
+    var value = separator == -1 ? "" : part.substring(separator + 1).trim();
+
+    if (name == "domain" && value) {
+      entry.domain = value.replace(/^\./, "").toLowerCase();
+      entry.hostOnly = false;
+    } else if (name == "path" && value.charAt(0) == "/") {
+      entry.path = value;
+    } else if (name == "secure") {
+      entry.secure = true;
+    } else if (name == "max-age" && /^-?\d+$/.test(value)) {
+      entry.expires = Date.now() + parseInt(value, 10) * 1000;
+    } else if (name == "expires" && entry.expires === null && !isNaN(Date.parse(value))) {
+      entry.expires = Date.parse(value);
+    }
+  });
+
+  // Refuse cookies for domains the URL isn't part of
+  if (!entry.hostOnly && target.hostname != entry.domain && !target.hostname.endsWith("." + entry.domain)) {
+    return;
+  }
+
+  this._cookies = this._cookies.filter(function (existing) {
+    return existing.name != entry.name || existing.domain != entry.domain || existing.path != entry.path;
+  });
+
+  if (entry.expires === null || entry.expires > Date.now()) {
+    this._cookies.push(entry);
+  }
+};
+
+/**
+ * Get the cookies which should be sent to a URL.
+ * @param {string} url
+ * @returns {{name: string, value: string}[]}
+ */
+CookieJar.prototype.getCookies = function (url) {
+  var target = new URL(url);
+  var host = target.hostname.toLowerCase();
+  var now = Date.now();
+
+  return this._cookies.filter(function (cookie) {
+    if (cookie.expires !== null && cookie.expires <= now) {
+      return false;
+    }
+
+    if (cookie.secure && target.protocol != "https:") {
+      return false;
+    }
+
+    var domainMatches = cookie.hostOnly
+      ? host == cookie.domain
+      : host == cookie.domain || host.endsWith("." + cookie.domain);
+
+    return domainMatches && target.pathname.indexOf(cookie.path) == 0;
+  });
+};
+
+/**
+ * Get the Cookie header value for a URL.
+ * @param {string} url
+ * @returns {string} Empty if there are no cookies to send
+ */
+CookieJar.prototype.getCookieString = function (url) {
+  return this.getCookies(url)
+    .map(function (cookie) {
+      return cookie.name + "=" + cookie.value;
+    })
+    .join("; ");
+};
+
+module.exports = CookieJar;
@@ -0,0 +1,405 @@
+const http = require("http");
+const Helpers = require("../components/helpers.js");
+
+const BEHAVIORS = ["private", "rateLimited", "error", "fakeRedirect", "malformed", "invalidKey"];
+const RETRY_LATER = "Could not retrieve user inventory. Please try again later.";
+
+/**
+ * A local HTTP server which imitates the inventory endpoints of Steam and of the mirrors this library supports, for
+ * integration tests. Point a SteamInventory at it with the `baseURL` option.
+ *
+ * It serves:
+ * - `/inventory/:steamid/:appid/:contextid` - steamcommunity, or rapidapi if an X-RapidAPI-Key header is sent
+ * - `/IEconService/GetInventoryItemsWithDescriptions/v1` - webapi
+ * - `/steam/inventory/:steamid/:appid/:contextid` - steamapis
+ * - `/API/:key/loadinventory` - steamsupply
+ * - `/profiles/:steamid/inventory/` - the inventory page, listing the user's apps and contexts
+ *
+ * Inventories are paginated with `more_items` and `last_assetid`. Failures are simulated per SteamID with simulate().
+ * @param {object} [options]
+ * @param {object[]} [options.dataset] - Inventories to serve: objects with `steamID`, `appID`, `contextID` and either
+ *   `assets` and `descriptions`, or `count` and `seed` to generate them with FakeSteamServer.generateInventory
+ * @param {int} [options.pageSize] - The most items to serve per page, whatever count the client asks for
+ * @param {string} [options.apiKey] - If set, the providers which need a key must send this one
+ */
+function FakeSteamServer(options) {
+  options = options || {};
+
+  this.pageSize = options.pageSize || null;
+  this.apiKey = options.apiKey || null;
+  this.baseURL = null;
+  this.requests = [];
+
+  this._inventories = {};
+  this._behaviors = {};
+  this._server = http.createServer(this._handle.bind(this));
+
+  (options.dataset || []).forEach((inventory) => {
+    var data = inventory.assets ? inventory : FakeSteamServer.generateInventory(inventory);
+    this.setInventory(inventory.steamID, inventory.appID, inventory.contextID, data.assets, data.descriptions);
+  });
+}
+
+/**
+ * Generate a deterministic inventory: the same seed always gives the same items.
+ * @param {object} [options]
+ * @param {int} [options.seed=1]
+ * @param {int} [options.count=10] - How many assets to generate
+ * @param {int} [options.appID=730]
+ * @param {int} [options.contextID=2]
+ * @returns {{assets: object[], descriptions: object[]}}
+ */
+FakeSteamServer.generateInventory = function (options) {
+  options = options || {};
+
+  var random = createRandom(options.seed || 1);
+  var count = typeof options.count === "number" ? options.count : 10;
+  var appID = options.appID || 730;
+  var contextID = String(options.contextID || 2);
+  var types = ["Rifle", "Pistol", "Knife", "Container", "Sticker"];
+  var descriptions = [];
+  var assets = [];
+
+  for (var i = 0; i < Math.max(1, Math.ceil(count / 3)); i++) {
+    var type = types[Math.floor(random() * types.length)];
+
+    descriptions.push({
+      appid: appID,
+      classid: String(1000 + i),
+      instanceid: "0",
+      currency: 0,
+      icon_url: "fake_icon_" + i,
+      tradable: random() < 0.8 ? 1 : 0,
+      marketable: random() < 0.8 ? 1 : 0,
+      commodity: type == "Container" || type == "Sticker" ? 1 : 0,
+      name: type + " #" + i,
+      market_name: type + " #" + i,
+      market_hash_name: type + " #" + i,
+      type: type,
+      tags: [{ category: "Type", internal_name: type, localized_category_name: "Type", localized_tag_name: type }],
+    });
+  }
+
+  for (var j = 0; j < count; j++) {
+    assets.push({
+      appid: appID,
+      contextid: contextID,
+      assetid: String(10000000000 + j),
+      classid: descriptions[Math.floor(random() * descriptions.length)].classid,
+      instanceid: "0",
+      amount: "1",
+    });
+  }
+
+  return { assets: assets, descriptions: descriptions };
+};
+
+/**
+ * Serve an inventory, replacing any served for the same SteamID, app and context.
+ * @param {string} steamID
+ * @param {int} appID
+ * @param {int} contextID
+ * @param {object[]} assets
+ * @param {object[]} descriptions
+ */
+FakeSteamServer.prototype.setInventory = function (steamID, appID, contextID, assets, descriptions) {
+  this._inventories[[steamID, appID, contextID].join("/")] = { assets: assets, descriptions: descriptions };
+};
+
+/**
+ * Make requests for a SteamID's inventories fail.
+ * @param {string} steamID
+ * @param {string} behavior - "private" (403 with a null body), "rateLimited" (429), "error" (500, with an eresult where
+ *   the provider reports one), "fakeRedirect", "malformed" (a non-JSON body) or "invalidKey"
+ * @param {object} [options]
+ * @param {int} [options.times] - Fail only this many requests, then serve normally again
+ * @param {int} [options.eresult=2] - The EResult of "error" responses
+ * @param {int} [options.retryAfter] - Seconds to send in the Retry-After header of "rateLimited" responses
+ */
+FakeSteamServer.prototype.simulate = function (steamID, behavior, options) {
+  if (BEHAVIORS.indexOf(behavior) == -1) {
+    throw new Error("Unknown behavior " + behavior);
+  }
+
+  this._behaviors[steamID] = Object.assign({ behavior: behavior, times: Infinity, eresult: 2 }, options);
+};
+
+/**
+ * Stop simulating failures, for one SteamID or for all of them.
+ * @param {string} [steamID]
+ */
+FakeSteamServer.prototype.reset = function (steamID) {
+  if (steamID) {
+    delete this._behaviors[steamID];
+  } else {
+    this._behaviors = {};
+  }
+};
+
+/**
+ * Start listening on 127.0.0.1.
+ * @param {int} [port=0] - 0 picks a free port
+ * @param {function} [callback] - Called with (err, baseURL). If omitted, a Promise resolving to { baseURL } is
+ *   returned.
+ * @returns {Promise|undefined}
+ */
+FakeSteamServer.prototype.listen = function (port, callback) {
+  if (typeof port === "function") {
+    callback = port;
+    port = 0;
+  }
+
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      var onError = function (err) {
+        callback(err);
+      };
+
+      this._server.once("error", onError);
+      this._server.listen(port || 0, "127.0.0.1", () => {
+        this._server.removeListener("error", onError);
+        this.baseURL = "http://127.0.0.1:" + this._server.address().port;
+        callback(null, this.baseURL);
+      });
+    },
+    ["baseURL"]
+  );
+};
+
+/**
+ * Stop listening.
+ * @param {function} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+FakeSteamServer.prototype.close = function (callback) {
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      if (this._server.closeAllConnections) {
+        this._server.closeAllConnections();
+      }
+
+      this._server.close(function (err) {
+        callback(err || null);
+      });
+    },
+    []
+  );
+};
+
+FakeSteamServer.prototype._handle = function (req, res) {
+  var url = new URL(req.url, "http://127.0.0.1");
+  var query = Object.fromEntries(url.searchParams);
+  var route = this._route(url.pathname, query, req.headers);
+
+  this.requests.push({ provider: route ? route.provider : null, path: url.pathname, query: query });
+
+  if (!route) {
+    send(res, 404, "Not Found", "text/plain");
+    return;
+  }
+
+  if (route.provider == "page") {
+    this._servePage(res, route);
+    return;
+  }
+
+  if (this.apiKey && route.provider != "steamcommunity" && route.apiKey != this.apiKey) {
+    respondWithFailure(res, route.provider, { behavior: "invalidKey" });
+    return;
+  }
+
+  var behavior = this._behaviors[route.steamID];
+  if (behavior && behavior.times > 0) {
+    behavior.times--;
+    respondWithFailure(res, route.provider, behavior);
+    return;
+  }
+
+  var inventory = this._inventories[[route.steamID, route.appID, route.contextID].join("/")];
+  var page = this._paginate(inventory, query);
+
+  send(res, 200, JSON.stringify(route.provider == "webapi" ? { response: page } : page));
+};
+
+FakeSteamServer.prototype._route = function (pathname, query, headers) {
+  var match;
+
+  if ((match = pathname.match(/^\/inventory\/(\d+)\/(\d+)\/(\d+)\/?$/))) {
+    var rapid = !!headers["x-rapidapi-key"];
+
+    return {
+      provider: rapid ? "rapidapi" : "steamcommunity",
+      steamID: match[1],
+      appID: match[2],
+      contextID: match[3],
+      apiKey: headers["x-rapidapi-key"],
+    };
+  }
+
+  if ((match = pathname.match(/^\/steam\/inventory\/(\d+)\/(\d+)\/(\d+)\/?$/))) {
+    return { provider: "steamapis", steamID: match[1], appID: match[2], contextID: match[3], apiKey: query.api_key };
+  }
+
+  if (pathname.match(/^\/IEconService\/GetInventoryItemsWithDescriptions\/v1\/?$/)) {
+    return {
+      provider: "webapi",
+      steamID: query.steamid,
+      appID: query.appid,
+      contextID: query.contextid,
+      apiKey: query.key,
+    };
+  }
+
+  if ((match = pathname.match(/^\/API\/([^/]+)\/loadinventory\/?$/))) {
+    return {
+      provider: "steamsupply",
+      steamID: query.steamid,
+      appID: query.appid,
+      contextID: query.contextid,
+      apiKey: match[1],
+    };
+  }
+
+  if ((match = pathname.match(/^\/profiles\/(\d+)\/inventory\/?$/))) {
+    return { provider: "page", steamID: match[1] };
+  }
+
+  return null;
+};
+
+FakeSteamServer.prototype._paginate = function (inventory, query) {
+  if (!inventory || inventory.assets.length == 0) {
+    return { success: 1, rwgrsn: -2, total_inventory_count: 0 };
+  }
+
+  var count = parseInt(query.count, 10) || 2000;
+  if (this.pageSize) {
+    count = Math.min(count, this.pageSize);
+  }
+
+  var start = 0;
+  if (query.start_assetid) {
+    start =
+      inventory.assets.findIndex(function (asset) {
+        return asset.assetid == query.start_assetid;
+      }) + 1;
+  }
+
+  var assets = inventory.assets.slice(start, start + count);
+  var classes = {};
+
+  assets.forEach(function (asset) {
+    classes[asset.classid + "_" + asset.instanceid] = true;
+  });
+
+  var page = {
+    assets: assets,
+    descriptions: inventory.descriptions.filter(function (description) {
+      return classes[description.classid + "_" + description.instanceid];
+    }),
+    total_inventory_count: inventory.assets.length,
+    success: 1,
+    rwgrsn: -2,
+  };
+
+  if (start + count < inventory.assets.length) {
+    page.more_items = 1;
+    page.last_assetid = assets[assets.length - 1].assetid;
+  }
+
+  return page;
+};
+
+FakeSteamServer.prototype._servePage = function (res, route) {
+  var behavior = this._behaviors[route.steamID];
+  if (behavior && behavior.behavior == "private") {
+    send(res, 200, '<html><div class="profile_private_info">This profile is private.</div></html>', "text/html");
+    return;
+  }
+
+  var apps = {};
+
+  Object.keys(this._inventories).forEach((key) => {
+    var parts = key.split("/");
+    if (parts[0] != route.steamID) {
+      return;
+    }
+
+    var app = (apps[parts[1]] = apps[parts[1]] || { appid: parseInt(parts[1], 10), rgContexts: {} });
+    app.rgContexts[parts[2]] = {
+      asset_count: this._inventories[key].assets.length,
+      id: parts[2],
+      name: "Context " + parts[2],
+    };
+  });
+
+  send(res, 200, "<html><script>var g_rgAppContextData = " + JSON.stringify(apps) + ";</script></html>", "text/html");
+};
+
+function respondWithFailure(res, provider, behavior) {
+  switch (behavior.behavior) {
+    case "private":
+      if (provider == "steamsupply") {
+        send(res, 403, "Inventory Private", "text/plain");
+      } else if (provider == "steamapis") {
+        send(res, 403, JSON.stringify({ error: "This profile is private." }));
+      } else {
+        send(res, 403, "null");
+      }
+      break;
+
+    case "rateLimited":
+      res.setHeader("Retry-After", behavior.retryAfter ? String(behavior.retryAfter) : "0");
+      send(res, 429, "null");
+      break;
+
+    case "error":
+      if (provider == "steamcommunity") {
+        send(res, 500, JSON.stringify({ success: false, error: "Failure (" + behavior.eresult + ")" }));
+      } else if (provider == "webapi" || provider == "steamsupply") {
+        send(res, 500, "<html><body>Internal Server Error</body></html>", "text/html");
+      } else {
+        send(res, 500, JSON.stringify({ error: RETRY_LATER }));
+      }
+      break;
+
+    case "fakeRedirect":
+      send(res, 200, JSON.stringify({ fake_redirect: 1 }));
+      break;
+
+    case "malformed":
+      send(res, 200, "<html>Something went wrong</html>", "text/html");
+      break;
+
+    case "invalidKey":
+      if (provider == "steamsupply") {
+        send(res, 403, "Invalid API key", "text/plain");
+      } else if (provider == "rapidapi") {
+        send(res, 403, JSON.stringify({ message: "Forbidden" }));
+      } else if (provider == "steamapis") {
+        send(res, 401, JSON.stringify({ error: "Invalid API key" }));
+      } else {
+        send(res, 403, "<html><body>Forbidden</body></html>", "text/html");
+      }
+      break;
+  }
+}
+
+function send(res, statusCode, body, contentType) {
+  res.writeHead(statusCode, { "Content-Type": contentType || "application/json; charset=utf-8" });
+  res.end(body);
+}
+
+// mulberry32
+function createRandom(seed) {
+  return function () {
+    seed = (seed + 0x6d2b79f5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = FakeSteamServer;
@@ -0,0 +1,54 @@
+const Crypto = require("crypto");
+const FS = require("fs");
+const Path = require("path");
+
+/**
+ * A cache store which keeps one JSON file per entry in a directory, so it can be shared between processes.
+ * @param {object} options
+ * @param {string} options.directory - The directory to store entries in. Created if it doesn't exist.
+ */
+function FileCacheStore(options) {
+  if (!options || !options.directory) {
+    throw new Error("The cache directory is missing.");
+  }
+
+  this.directory = options.directory;
+}
+
+FileCacheStore.prototype._getPath = function (key) {
+  return Path.join(this.directory, Crypto.createHash("sha1").update(key).digest("hex") + ".json");
+};
+
+FileCacheStore.prototype.get = function (key) {
+  return FS.promises.readFile(this._getPath(key), "utf8").then(JSON.parse, function (err) {
+    if (err.code == "ENOENT") {
+      return null;
+    }
+
+    throw err;
+  });
+};
+
+FileCacheStore.prototype.set = function (key, entry) {
+  var path = this._getPath(key);
+  var tempPath = path + "." + process.pid + "." + Date.now() + ".tmp";
+
+  return FS.promises
+    .mkdir(this.directory, { recursive: true })
+    .then(function () {
+      return FS.promises.writeFile(tempPath, JSON.stringify(entry));
+    })
+    .then(function () {
+      return FS.promises.rename(tempPath, path);
+    });
+};
+
+FileCacheStore.prototype.delete = function (key) {
+  return FS.promises.unlink(this._getPath(key)).catch(function (err) {
+    if (err.code != "ENOENT") {
+      throw err;
+    }
+  });
+};
+
+module.exports = FileCacheStore;
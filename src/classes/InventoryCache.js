@@ -0,0 +1,105 @@
+const CEconItem = require("./CEconItem.js");
+const MemoryCacheStore = require("./MemoryCacheStore.js");
+
+/**
+ * Caches fetched inventories in a storage adapter.
+ *
+ * A storage adapter is an object with `get(key)`, `set(key, entry)` and `delete(key)` methods which return Promises.
+ * `get` resolves to the stored entry, or null if there is none. Entries are plain JSON-serializable objects.
+ * @param {object} [options]
+ * @param {object} [options.store] - The storage adapter. Defaults to a MemoryCacheStore.
+ * @param {int} [options.ttl=60000] - Milliseconds for which a cached inventory is served without fetching it again
+ * @param {int} [options.staleWhileRevalidate=0] - Milliseconds past the ttl for which a cached inventory is still served while it's refreshed in the background
+ */
+function InventoryCache(options) {
+  options = options || {};
+
+  this.store = options.store || new MemoryCacheStore();
+  this.ttl = typeof options.ttl === "number" ? options.ttl : 60000;
+  this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+  this._revalidating = {};
+}
+
+/**
+ * Get the key an inventory is cached under.
+ * @param {string} providerName
+ * @param {object} ctx - The provider context of the fetch
+ * @returns {string}
+ */
+InventoryCache.prototype.getKey = function (providerName, ctx) {
+  return [
+    "inventory",
+    providerName,
+    ctx.steamID.getSteamID64(),
+    ctx.appID,
+    ctx.contextID,
+    ctx.language || "",
+    ctx.tradableOnly ? 1 : 0,
+    ctx.filter ? JSON.stringify(ctx.filter.toJSON().filters) : "",
+  ].join(":");
+};
+
+/**
+ * Look an inventory up.
+ * @param {string} key
+ * @returns {Promise<{inventory: CEconItem[], currency: CEconItem[], total: int, stale: boolean}|null>} null if nothing usable is cached
+ */
+InventoryCache.prototype.get = function (key) {
+  return this.store.get(key).then((entry) => {
+    if (!entry) {
+      return null;
+    }
+
+    var age = Date.now() - entry.storedAt;
+
+    if (age >= this.ttl + this.staleWhileRevalidate) {
+      return this.store.delete(key).then(function () {
+        return null;
+      });
+    }
+
+    return {
+      inventory: entry.inventory.map(CEconItem.revive),
+      currency: entry.currency.map(CEconItem.revive),
+      total: entry.total,
+      stale: age >= this.ttl,
+    };
+  });
+};
+
+/**
+ * Store an inventory.
+ * @param {string} key
+ * @param {CEconItem[]} inventory
+ * @param {CEconItem[]} currency
+ * @param {int} total
+ * @returns {Promise}
+ */
+InventoryCache.prototype.set = function (key, inventory, currency, total) {
+  return this.store.set(key, {
+    storedAt: Date.now(),
+    inventory: JSON.parse(JSON.stringify(inventory)),
+    currency: JSON.parse(JSON.stringify(currency)),
+    total: total,
+  });
+};
+
+/**
+ * Mark a key as being refreshed in the background.
+ * @param {string} key
+ * @returns {boolean} false if it already was
+ */
+InventoryCache.prototype.startRevalidation = function (key) {
+  if (this._revalidating[key]) {
+    return false;
+  }
+
+  this._revalidating[key] = true;
+  return true;
+};
+
+InventoryCache.prototype.endRevalidation = function (key) {
+  delete this._revalidating[key];
+};
+
+module.exports = InventoryCache;
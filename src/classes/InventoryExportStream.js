@@ -0,0 +1,179 @@
+const Transform = require("stream").Transform;
+
+require("util").inherits(InventoryExportStream, Transform);
+
+InventoryExportStream.COLUMNS = {
+  assetid: function (item) {
+    return item.assetid || item.currencyid || item.id;
+  },
+  classid: function (item) {
+    return item.classid;
+  },
+  instanceid: function (item) {
+    return item.instanceid;
+  },
+  amount: function (item) {
+    return item.amount;
+  },
+  name: function (item) {
+    return item.name;
+  },
+  market_hash_name: function (item) {
+    return item.market_hash_name;
+  },
+  tradable: function (item) {
+    return item.tradable;
+  },
+  marketable: function (item) {
+    return item.marketable;
+  },
+  tradable_after: function (item) {
+    return item.cache_expiration || null;
+  },
+  image_url: function (item) {
+    return item.icon_url ? item.getImageURL() : null;
+  },
+};
+
+InventoryExportStream.DEFAULT_COLUMNS = [
+  "assetid",
+  "classid",
+  "instanceid",
+  "amount",
+  "name",
+  "market_hash_name",
+  "tradable",
+  "marketable",
+  "tradable_after",
+  "image_url",
+];
+
+/**
+ * A stream which turns CEconItems into CSV or NDJSON text.
+ *
+ * Write it CEconItems, arrays of them or inventory pages as yielded by SteamInventory#iterateInventory (whose
+ * inventory and currency are both exported), and pipe it to a file or any other writable stream.
+ * @param {object} [options]
+ * @param {string} [options.format="csv"] - "csv" or "ndjson"
+ * @param {Array<string|{name: string, value: function}>} [options.columns] - Names of built-in columns (see
+ *   InventoryExportStream.COLUMNS), or custom columns whose value is computed from the item
+ * @param {string[]} [options.tagCategories] - Tag categories to add as columns named "tag:<category>", holding the
+ *   name of the item's tag in that category
+ * @param {string} [options.delimiter=","] - The CSV field delimiter
+ * @param {boolean} [options.header=true] - Whether to start CSV output with a header row
+ */
+function InventoryExportStream(options) {
+  options = options || {};
+
+  Transform.call(this, { writableObjectMode: true });
+
+  this.format = options.format || "csv";
+  if (this.format != "csv" && this.format != "ndjson") {
+    throw new Error("Unknown export format " + this.format);
+  }
+
+  this.delimiter = options.delimiter || ",";
+  this.columns = (options.columns || InventoryExportStream.DEFAULT_COLUMNS)
+    .concat(
+      (options.tagCategories || []).map(function (category) {
+        return {
+          name: "tag:" + category,
+          value: function (item) {
+            var tag = item.getTag ? item.getTag(category) : null;
+            return tag ? tag.name : null;
+          },
+        };
+      })
+    )
+    .map(function (column) {
+      if (typeof column !== "string") {
+        return column;
+      }
+
+      if (!InventoryExportStream.COLUMNS[column]) {
+        throw new Error("Unknown export column " + column);
+      }
+
+      return { name: column, value: InventoryExportStream.COLUMNS[column] };
+    });
+
+  this._headerPending = this.format == "csv" && options.header !== false;
+}
+
+InventoryExportStream.prototype._transform = function (chunk, encoding, callback) {
+  var items;
+
+  if (Array.isArray(chunk)) {
+    items = chunk;
+  } else if (chunk && Array.isArray(chunk.inventory)) {
+    items = chunk.inventory.concat(chunk.currency || []);
+  } else {
+    items = [chunk];
+  }
+
+  var output = "";
+
+  if (this._headerPending) {
+    this._headerPending = false;
+    output += this._formatHeader();
+  }
+
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i];
+    var values = this.columns.map(function (column) {
+      var value = column.value(item);
+      return typeof value === "undefined" ? null : value;
+    });
+
+    if (this.format == "csv") {
+      output += this._formatCSVRow(values);
+    } else {
+      var row = {};
+      for (var j = 0; j < this.columns.length; j++) {
+        row[this.columns[j].name] = values[j];
+      }
+
+      output += JSON.stringify(row) + "\n";
+    }
+  }
+
+  callback(null, output || undefined);
+};
+
+InventoryExportStream.prototype._flush = function (callback) {
+  // An export with no items still gets its header row
+  if (this._headerPending) {
+    this._headerPending = false;
+    this.push(this._formatHeader());
+  }
+
+  callback();
+};
+
+InventoryExportStream.prototype._formatHeader = function () {
+  return this._formatCSVRow(
+    this.columns.map(function (column) {
+      return column.name;
+    })
+  );
+};
+
+InventoryExportStream.prototype._formatCSVRow = function (values) {
+  var delimiter = this.delimiter;
+
+  return (
+    values
+      .map(function (value) {
+        value = value === null ? "" : String(value);
+
+        if (value.indexOf(delimiter) != -1 || /["\r\n]/.test(value)) {
+          value = '"' + value.replace(/"/g, '""') + '"';
+        }
+
+        return value;
+      })
+      .join(delimiter) + "\r\n"
+  );
+};
+
+module.exports = InventoryExportStream;
@@ -0,0 +1,403 @@
+const Helpers = require("../components/helpers.js");
+
+// Upper bounds of the latency histogram's buckets, in milliseconds
+const DEFAULT_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// Cap on the outcomes kept per provider for its health score, so a busy provider doesn't grow it without bound
+const MAX_HEALTH_SAMPLES = 1000;
+
+// What toPrometheus exports, and from which fields of getStats' entries
+const PROMETHEUS_METRICS = [
+  {
+    name: "provider_requests_total",
+    type: "counter",
+    label: "provider",
+    field: "requests",
+    help: "HTTP requests sent.",
+  },
+  {
+    name: "provider_successes_total",
+    type: "counter",
+    label: "provider",
+    field: "successes",
+    help: "Inventory pages fetched successfully.",
+  },
+  {
+    name: "provider_errors_total",
+    type: "counter",
+    label: "provider",
+    field: "errors",
+    help: "Failed inventory page requests, by error class.",
+  },
+  {
+    name: "provider_retries_total",
+    type: "counter",
+    label: "provider",
+    field: "retries",
+    help: "Retried inventory page requests.",
+  },
+  {
+    name: "provider_pages_total",
+    type: "counter",
+    label: "provider",
+    field: "pages",
+    help: "Inventory pages fetched.",
+  },
+  {
+    name: "provider_items_total",
+    type: "counter",
+    label: "provider",
+    field: "items",
+    help: "Inventory items fetched.",
+  },
+  { name: "provider_request_duration_seconds", type: "histogram", label: "provider", help: "HTTP request latency." },
+  {
+    name: "provider_health",
+    type: "gauge",
+    label: "provider",
+    field: "health",
+    help: "Share of recent inventory page requests which didn't fail through the provider's fault.",
+  },
+  { name: "host_requests_total", type: "counter", label: "host", field: "requests", help: "HTTP requests sent." },
+  {
+    name: "host_successes_total",
+    type: "counter",
+    label: "host",
+    field: "successes",
+    help: "HTTP requests answered with a status below 400.",
+  },
+  {
+    name: "host_errors_total",
+    type: "counter",
+    label: "host",
+    field: "errors",
+    help: "Failed HTTP requests, by error class.",
+  },
+  { name: "host_request_duration_seconds", type: "histogram", label: "host", help: "HTTP request latency." },
+];
+
+/**
+ * Counts requests, their latency and their outcomes per provider and per host, and keeps a rolling health score per
+ * provider.
+ *
+ * Requests and latency are counted for every HTTP request actually sent through the transport, by its source (the
+ * provider name for inventory requests) and its hostname. Successes, errors, retries, pages and items are counted per
+ * provider as inventory pages are fetched.
+ * @param {object} [options]
+ * @param {int[]} [options.buckets] - Upper bounds of the latency histogram's buckets, in milliseconds
+ * @param {int} [options.healthWindow=300000] - Milliseconds of past inventory page requests a provider's health
+ *   score covers
+ */
+function InventoryMetrics(options) {
+  options = options || {};
+
+  this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort(function (a, b) {
+    return a - b;
+  });
+  this.healthWindow = options.healthWindow || 300000;
+
+  this.reset();
+}
+
+/**
+ * Forget everything counted so far.
+ */
+InventoryMetrics.prototype.reset = function () {
+  this._providers = {};
+  this._hosts = {};
+};
+
+/**
+ * Record an HTTP request which went through the transport.
+ * @param {string} source - The request's source, e.g. a provider name
+ * @param {string} host - The hostname it was sent to
+ * @param {Error|null} err
+ * @param {object} [response]
+ * @param {int} duration - Milliseconds it took to answer
+ */
+InventoryMetrics.prototype.recordRequest = function (source, host, err, response, duration) {
+  if (source) {
+    var provider = this._getProvider(source);
+    provider.requests++;
+    observe(provider.latency, this.buckets, duration);
+  }
+
+  var entry = this._getHost(host);
+  entry.requests++;
+  observe(entry.latency, this.buckets, duration);
+
+  if (!err && response && response.statusCode < 400) {
+    entry.successes++;
+  } else {
+    entry.failures++;
+    count(entry.errors, getErrorClass(err, response));
+  }
+};
+
+/**
+ * Record an inventory page which a provider returned.
+ * @param {string} provider
+ * @param {int} items - The number of assets on the page
+ */
+InventoryMetrics.prototype.recordPage = function (provider, items) {
+  var entry = this._getProvider(provider);
+  entry.successes++;
+  entry.pages++;
+  entry.items += items;
+  addOutcome(entry, true, this.healthWindow);
+};
+
+/**
+ * Record an inventory page request which failed.
+ * Only errors which another provider might not have hit (see Helpers.isRetryableError) lower its health score; a
+ * private profile, for example, isn't the provider's fault.
+ * @param {string} provider
+ * @param {Error} err
+ */
+InventoryMetrics.prototype.recordError = function (provider, err) {
+  var entry = this._getProvider(provider);
+  entry.failures++;
+  count(entry.errors, getErrorClass(err));
+  addOutcome(entry, !Helpers.isRetryableError(err), this.healthWindow);
+};
+
+/**
+ * Record that a failed inventory page request is retried.
+ * @param {string} provider
+ */
+InventoryMetrics.prototype.recordRetry = function (provider) {
+  this._getProvider(provider).retries++;
+};
+
+/**
+ * Get a provider's health score: the share of its inventory page requests within the health window which didn't
+ * fail through its own fault (rate limits, server and network errors). 1 if it wasn't used within the window.
+ * @param {string} provider
+ * @returns {number} Between 0 and 1
+ */
+InventoryMetrics.prototype.getHealth = function (provider) {
+  var entry = this._providers[provider];
+  if (!entry) {
+    return 1;
+  }
+
+  pruneOutcomes(entry, this.healthWindow);
+  if (entry.outcomes.length == 0) {
+    return 1;
+  }
+
+  var healthy = entry.outcomes.filter(function (outcome) {
+    return outcome.ok;
+  }).length;
+
+  return healthy / entry.outcomes.length;
+};
+
+/**
+ * Get everything counted so far.
+ * @returns {{providers: object, hosts: object}}
+ */
+InventoryMetrics.prototype.getStats = function () {
+  var self = this;
+  var providers = {};
+  var hosts = {};
+
+  Object.keys(this._providers).forEach(function (name) {
+    var entry = self._providers[name];
+
+    providers[name] = {
+      requests: entry.requests,
+      successes: entry.successes,
+      failures: entry.failures,
+      errors: Object.assign({}, entry.errors),
+      retries: entry.retries,
+      pages: entry.pages,
+      items: entry.items,
+      latency: self._getHistogram(entry.latency),
+      health: self.getHealth(name),
+    };
+  });
+
+  Object.keys(this._hosts).forEach(function (name) {
+    var entry = self._hosts[name];
+
+    hosts[name] = {
+      requests: entry.requests,
+      successes: entry.successes,
+      failures: entry.failures,
+      errors: Object.assign({}, entry.errors),
+      latency: self._getHistogram(entry.latency),
+    };
+  });
+
+  return { providers: providers, hosts: hosts };
+};
+
+/**
+ * Render everything counted so far in the Prometheus text exposition format.
+ * @param {string} [prefix="steam_inventory_"] - Prepended to every metric name
+ * @returns {string}
+ */
+InventoryMetrics.prototype.toPrometheus = function (prefix) {
+  prefix = typeof prefix === "string" ? prefix : "steam_inventory_";
+
+  var stats = this.getStats();
+  var lines = [];
+
+  PROMETHEUS_METRICS.forEach(function (metric) {
+    var group = metric.label == "provider" ? stats.providers : stats.hosts;
+    var name = prefix + metric.name;
+
+    if (Object.keys(group).length == 0) {
+      return;
+    }
+
+    lines.push("# HELP " + name + " " + metric.help);
+    lines.push("# TYPE " + name + " " + metric.type);
+
+    Object.keys(group).forEach(function (key) {
+      var entry = group[key];
+      var sample = function (suffix, labels, value) {
+        var all = {};
+        all[metric.label] = key;
+        lines.push(name + suffix + formatLabels(Object.assign(all, labels)) + " " + value);
+      };
+
+      if (metric.type == "histogram") {
+        entry.latency.buckets.forEach(function (bucket) {
+          sample("_bucket", { le: String(bucket.le / 1000) }, bucket.count);
+        });
+
+        sample("_bucket", { le: "+Inf" }, entry.latency.count);
+        sample("_sum", {}, entry.latency.sum / 1000);
+        sample("_count", {}, entry.latency.count);
+      } else if (metric.field == "errors") {
+        Object.keys(entry.errors).forEach(function (errorClass) {
+          sample("", { class: errorClass }, entry.errors[errorClass]);
+        });
+      } else {
+        sample("", {}, entry[metric.field]);
+      }
+    });
+  });
+
+  return lines.length ? lines.join("\n") + "\n" : "";
+};
+
+InventoryMetrics.prototype._getProvider = function (name) {
+  if (!this._providers[name]) {
+    this._providers[name] = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      errors: {},
+      retries: 0,
+      pages: 0,
+      items: 0,
+      latency: this._createLatency(),
+      outcomes: [],
+    };
+  }
+
+  return this._providers[name];
+};
+
+InventoryMetrics.prototype._getHost = function (name) {
+  if (!this._hosts[name]) {
+    this._hosts[name] = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      errors: {},
+      latency: this._createLatency(),
+    };
+  }
+
+  return this._hosts[name];
+};
+
+InventoryMetrics.prototype._createLatency = function () {
+  return {
+    counts: this.buckets.map(function () {
+      return 0;
+    }),
+    sum: 0,
+    count: 0,
+  };
+};
+
+InventoryMetrics.prototype._getHistogram = function (latency) {
+  var cumulative = 0;
+
+  return {
+    count: latency.count,
+    sum: latency.sum,
+    mean: latency.count ? latency.sum / latency.count : 0,
+    buckets: this.buckets.map(function (le, i) {
+      cumulative += latency.counts[i];
+      return { le: le, count: cumulative };
+    }),
+  };
+};
+
+/**
+ * Get the label an error is counted under: its code for typed and network errors (e.g. "ERR_RATE_LIMITED" or
+ * "ECONNRESET"), "HTTP_<status>" for error responses.
+ * @param {Error|null} err
+ * @param {object} [response]
+ * @returns {string}
+ */
+function getErrorClass(err, response) {
+  if (err && typeof err.code === "string") {
+    return err.code;
+  }
+
+  var statusCode =
+    (err && (err.statusCode || (typeof err.code === "number" && err.code))) || (response && response.statusCode);
+  return statusCode ? "HTTP_" + statusCode : (err && err.name) || "Error";
+}
+
+function observe(latency, buckets, duration) {
+  latency.count++;
+  latency.sum += duration;
+
+  for (var i = 0; i < buckets.length; i++) {
+    if (duration <= buckets[i]) {
+      latency.counts[i]++;
+      return;
+    }
+  }
+}
+
+function count(errors, errorClass) {
+  errors[errorClass] = (errors[errorClass] || 0) + 1;
+}
+
+function addOutcome(entry, ok, window) {
+  entry.outcomes.push({ time: Date.now(), ok: ok });
+
+  if (entry.outcomes.length > MAX_HEALTH_SAMPLES) {
+    entry.outcomes.shift();
+  }
+
+  pruneOutcomes(entry, window);
+}
+
+function pruneOutcomes(entry, window) {
+  var cutoff = Date.now() - window;
+
+  while (entry.outcomes.length && entry.outcomes[0].time < cutoff) {
+    entry.outcomes.shift();
+  }
+}
+
+function formatLabels(labels) {
+  var pairs = Object.keys(labels).map(function (name) {
+    var value = String(labels[name]).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return name + '="' + value + '"';
+  });
+
+  return "{" + pairs.join(",") + "}";
+}
+
+module.exports = InventoryMetrics;
@@ -0,0 +1,343 @@
+/**
+ * A chainable filter and sort over arrays of CEconItem. Queries can be serialized with toJSON() and rebuilt with
+ * InventoryQuery.fromJSON(), so clients can send them as plain JSON.
+ *
+ * ```js
+ * var items = new InventoryQuery().tradable(true).tag("Exterior", "Factory New").sortBy("name").run(inventory);
+ * ```
+ *
+ * A regular expression can take exponential time on a crafted input, so serialized specs may only use `name` filters
+ * matching a literal substring or a glob, unless `options.allowRegExp` is set. Only set it for specs you trust.
+ * @param {object} [spec] - A serialized query, as returned by toJSON()
+ * @param {object} [options]
+ * @param {boolean} [options.allowRegExp=false] - Accept `name` filters with a regular expression in `spec`
+ */
+function InventoryQuery(spec, options) {
+  spec = spec || {};
+
+  this._filters = [];
+  this._sort = null;
+
+  (spec.filters || []).forEach((filter) => {
+    this._addFilter(filter, !!(options && options.allowRegExp));
+  });
+
+  if (spec.sort) {
+    this.sortBy(spec.sort.by, spec.sort.order);
+  }
+}
+
+/**
+ * The built-in filters, keyed by the `type` of their serialized form. Each is called with (item, filter).
+ */
+InventoryQuery.filters = {
+  tradable: function (item, filter) {
+    return item.tradable == filter.value;
+  },
+
+  marketable: function (item, filter) {
+    return item.marketable == filter.value;
+  },
+
+  commodity: function (item, filter) {
+    return item.commodity == filter.value;
+  },
+
+  tag: function (item, filter) {
+    var tag = item.getTag ? item.getTag(filter.category) : null;
+    if (!tag) {
+      return false;
+    }
+
+    if (typeof filter.value === "undefined" || filter.value === null) {
+      return true;
+    }
+
+    var values = Array.isArray(filter.value) ? filter.value : [filter.value];
+    return values.indexOf(tag.internal_name) != -1 || values.indexOf(tag.name) != -1;
+  },
+
+  name: function (item, filter) {
+    return (filter._matcher || compileNameMatcher(filter))(item.market_hash_name || item.name || "");
+  },
+
+  tradeHold: function (item, filter) {
+    var onHold = !!item.cache_expiration && new Date(item.cache_expiration).getTime() > Date.now();
+    return onHold == filter.value;
+  },
+
+  fraudWarnings: function (item, filter) {
+    var hasWarnings = !!(item.fraudwarnings && item.fraudwarnings.length > 0);
+    return hasWarnings == filter.value;
+  },
+};
+
+/**
+ * The longest `name` pattern accepted.
+ */
+InventoryQuery.MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Rebuild a query from its serialized form.
+ * @param {object|string} spec - A serialized query, or its JSON string
+ * @param {object} [options] - The same options as the constructor
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.fromJSON = function (spec, options) {
+  return new InventoryQuery(typeof spec === "string" ? JSON.parse(spec) : spec, options);
+};
+
+InventoryQuery.prototype._addFilter = function (filter, allowRegExp) {
+  if (!filter || !InventoryQuery.filters[filter.type]) {
+    throw new Error("Unknown inventory filter " + (filter && filter.type));
+  }
+
+  if (filter.type == "name") {
+    if ((filter.match || "regexp") == "regexp" && !allowRegExp) {
+      throw new Error("Regular expression name filters aren't allowed here; use a substring or glob match.");
+    }
+
+    // Compile the pattern up front, so an invalid one throws here rather than while items are tested
+    filter = Object.assign({}, filter);
+    Object.defineProperty(filter, "_matcher", { value: compileNameMatcher(filter) });
+  }
+
+  this._filters.push(filter);
+  return this;
+};
+
+/**
+ * Keep only items which are (or aren't) tradable.
+ * @param {boolean} [value=true]
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.tradable = function (value) {
+  return this._addFilter({ type: "tradable", value: value !== false });
+};
+
+/**
+ * Keep only items which are (or aren't) marketable.
+ * @param {boolean} [value=true]
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.marketable = function (value) {
+  return this._addFilter({ type: "marketable", value: value !== false });
+};
+
+/**
+ * Keep only items which are (or aren't) commodities.
+ * @param {boolean} [value=true]
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.commodity = function (value) {
+  return this._addFilter({ type: "commodity", value: value !== false });
+};
+
+/**
+ * Keep only items with a tag in a category, optionally with one of the given values.
+ * @param {string} category - The tag's category, as passed to CEconItem#getTag
+ * @param {string|string[]} [value] - Matched against the tag's internal_name and its name
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.tag = function (category, value) {
+  return this._addFilter({ type: "tag", category: category, value: value });
+};
+
+/**
+ * Keep only items whose market_hash_name matches a pattern.
+ * Throws if the pattern is invalid or longer than InventoryQuery.MAX_PATTERN_LENGTH.
+ * @param {RegExp|string} pattern
+ * @param {object} [options]
+ * @param {string} [options.match="regexp"] - How a string pattern matches: "regexp", "contains" (a literal substring)
+ *   or "glob" (`*` matches any run of characters, `?` any single one). Only "contains" and "glob" can be rebuilt from
+ *   a serialized spec without `allowRegExp`.
+ * @param {boolean} [options.ignoreCase] - Match case-insensitively. For "contains" and "glob" only.
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.name = function (pattern, options) {
+  options = options || {};
+
+  if (pattern instanceof RegExp) {
+    return this._addFilter({ type: "name", pattern: pattern.source, flags: pattern.flags }, true);
+  }
+
+  if (options.match && options.match != "regexp") {
+    return this._addFilter({ type: "name", match: options.match, pattern: pattern, ignoreCase: !!options.ignoreCase });
+  }
+
+  return this._addFilter({ type: "name", pattern: pattern }, true);
+};
+
+/**
+ * Keep only items which are (or aren't) on a trade hold, i.e. have a cache_expiration in the future.
+ * @param {boolean} [value=true]
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.tradeHold = function (value) {
+  return this._addFilter({ type: "tradeHold", value: value !== false });
+};
+
+/**
+ * Keep only items which have (or don't have) fraud warnings.
+ * @param {boolean} [value=true]
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.fraudWarnings = function (value) {
+  return this._addFilter({ type: "fraudWarnings", value: value !== false });
+};
+
+/**
+ * Sort the results.
+ * @param {string} by - "pos", "name", or "tag:" followed by a tag category
+ * @param {string} [order="asc"] - "asc" or "desc"
+ * @returns {InventoryQuery}
+ */
+InventoryQuery.prototype.sortBy = function (by, order) {
+  if (typeof by !== "string" || (by != "pos" && by != "name" && by.indexOf("tag:") != 0)) {
+    throw new Error("Unknown inventory sort " + by);
+  }
+
+  this._sort = { by: by, order: order == "desc" ? "desc" : "asc" };
+  return this;
+};
+
+/**
+ * Check whether an item passes every filter.
+ * @param {CEconItem} item
+ * @returns {boolean}
+ */
+InventoryQuery.prototype.test = function (item) {
+  return this._filters.every(function (filter) {
+    return InventoryQuery.filters[filter.type](item, filter);
+  });
+};
+
+/**
+ * Filter and sort an array of items. The array itself isn't modified.
+ * @param {CEconItem[]} items
+ * @returns {CEconItem[]}
+ */
+InventoryQuery.prototype.run = function (items) {
+  var results = items.filter((item) => this.test(item));
+
+  if (this._sort) {
+    var getValue = getSortValue.bind(null, this._sort.by);
+    var direction = this._sort.order == "desc" ? -1 : 1;
+
+    results.sort(function (a, b) {
+      var valueA = getValue(a);
+      var valueB = getValue(b);
+
+      if (valueA === valueB) {
+        return 0;
+      }
+
+      if (valueA === null) {
+        return 1;
+      }
+
+      if (valueB === null) {
+        return -1;
+      }
+
+      return (valueA < valueB ? -1 : 1) * direction;
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Get the serialized form of this query.
+ * @returns {{filters: object[], sort: object|null}}
+ */
+InventoryQuery.prototype.toJSON = function () {
+  return {
+    filters: this._filters.map(function (filter) {
+      return Object.assign({}, filter);
+    }),
+    sort: this._sort ? Object.assign({}, this._sort) : null,
+  };
+};
+
+function compileNameMatcher(filter) {
+  if (typeof filter.pattern !== "string") {
+    throw new Error("The name filter's pattern must be a string.");
+  }
+
+  if (filter.pattern.length > InventoryQuery.MAX_PATTERN_LENGTH) {
+    throw new Error("The name filter's pattern is longer than " + InventoryQuery.MAX_PATTERN_LENGTH + " characters.");
+  }
+
+  var match = filter.match || "regexp";
+  var fold = function (text) {
+    return filter.ignoreCase ? text.toLowerCase() : text;
+  };
+  var pattern = fold(filter.pattern);
+
+  if (match == "contains") {
+    return function (name) {
+      return fold(name).indexOf(pattern) != -1;
+    };
+  }
+
+  if (match == "glob") {
+    return function (name) {
+      return matchGlob(pattern, fold(name));
+    };
+  }
+
+  if (match != "regexp") {
+    throw new Error("Unknown name filter match " + match);
+  }
+
+  // The compiled RegExp is reused for every item, so drop the flags which make test() stateful
+  var regexp = new RegExp(filter.pattern, (filter.flags || "").replace(/[gy]/g, ""));
+  return function (name) {
+    return regexp.test(name);
+  };
+}
+
+// Match a glob in O(pattern * text) time: on a mismatch, only the most recent `*` is widened, never an earlier one
+function matchGlob(glob, text) {
+  var g = 0;
+  var t = 0;
+  var star = -1;
+  var starText = 0;
+
+  while (t < text.length) {
+    if (g < glob.length && (glob[g] == "?" || glob[g] == text[t])) {
+      g++;
+      t++;
+    } else if (g < glob.length && glob[g] == "*") {
+      star = g++;
+      starText = t;
+    } else if (star != -1) {
+      g = star + 1;
+      t = ++starText;
+    } else {
+      return false;
+    }
+  }
+
+  while (g < glob.length && glob[g] == "*") {
+    g++;
+  }
+
+  return g == glob.length;
+}
+
+function getSortValue(by, item) {
+  if (by == "pos") {
+    return typeof item.pos === "number" ? item.pos : null;
+  }
+
+  if (by == "name") {
+    return (item.market_hash_name || item.name || "").toLowerCase() || null;
+  }
+
+  var tag = item.getTag ? item.getTag(by.substring(4)) : null;
+  return tag ? (tag.name || "").toLowerCase() : null;
+}
+
+module.exports = InventoryQuery;
@@ -0,0 +1,108 @@
+const Helpers = require("../components/helpers.js");
+
+require("util").inherits(InventoryWatcher, require("events").EventEmitter);
+
+/**
+ * Polls an inventory and emits an event for every item which appears, disappears or changes between two polls.
+ * Created by SteamInventory#watchInventory.
+ *
+ * Events:
+ * - `itemAdded` (item) - A CEconItem which wasn't in the previous poll
+ * - `itemRemoved` (item) - A CEconItem from the previous poll which is gone
+ * - `itemChanged` (item, previousItem) - An item whose amount, classid or instanceid changed
+ * - `poll` (inventory, currency) - After every successful poll
+ * - `error` (err) - A poll failed. Polling carries on. Without a listener, failed polls are skipped silently.
+ * @param {SteamInventory} community
+ * @param {SteamID|string} steamID
+ * @param {object} options - getInventory options plus `provider` and `interval`
+ */
+function InventoryWatcher(community, steamID, options) {
+  this.community = community;
+  this.steamID = steamID;
+  this.provider = options.provider || "steamcommunity";
+  this.interval = options.interval || 60000;
+  this.inventory = null;
+  this.currency = null;
+
+  this._options = Object.assign({}, options, { forceRefresh: true });
+  this._timer = null;
+  this._stopped = false;
+
+  setImmediate(() => this._poll());
+}
+
+InventoryWatcher.prototype._poll = function () {
+  var handle = (err, inventory, currency) => {
+    if (this._stopped) {
+      return;
+    }
+
+    // Schedule the next poll first, so it still happens if a listener throws
+    this._timer = setTimeout(() => this._poll(), this.interval);
+
+    if (err) {
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", err);
+      }
+
+      return;
+    }
+
+    var previous = this.inventory && this.inventory.concat(this.currency);
+
+    this.inventory = inventory;
+    this.currency = currency;
+
+    if (previous) {
+      this._emitChanges(previous, inventory.concat(currency));
+    }
+
+    this.emit("poll", inventory, currency);
+  };
+
+  try {
+    this.community.getInventory(this.provider, this.steamID, this._options, handle);
+  } catch (ex) {
+    // E.g. a SteamID string which doesn't parse
+    handle(ex);
+  }
+};
+
+InventoryWatcher.prototype._emitChanges = function (before, after) {
+  var diff = this.community.constructor.diffInventories(before, after, { detectMoves: false });
+  var beforeItems = indexItems(before);
+  var afterItems = indexItems(after);
+
+  diff.added.forEach((item) => {
+    this.emit("itemAdded", afterItems[Helpers.getItemKey(item)]);
+  });
+
+  diff.removed.forEach((item) => {
+    this.emit("itemRemoved", beforeItems[Helpers.getItemKey(item)]);
+  });
+
+  diff.changed.forEach((change) => {
+    var key = Helpers.getItemKey(change.after);
+    this.emit("itemChanged", afterItems[key], beforeItems[key]);
+  });
+};
+
+/**
+ * Stop polling. No more events are emitted afterwards.
+ */
+InventoryWatcher.prototype.stop = function () {
+  this._stopped = true;
+  clearTimeout(this._timer);
+};
+
+function indexItems(items) {
+  var index = {};
+
+  items.forEach(function (item) {
+    index[Helpers.getItemKey(item)] = item;
+  });
+
+  return index;
+}
+
+module.exports = InventoryWatcher;
@@ -0,0 +1,40 @@
+/**
+ * An in-memory cache store which evicts the least recently used entries once it's full.
+ * @param {object} [options]
+ * @param {int} [options.maxEntries=1000] - How many entries to keep
+ */
+function MemoryCacheStore(options) {
+  options = options || {};
+
+  this.maxEntries = options.maxEntries || 1000;
+  this._entries = new Map();
+}
+
+MemoryCacheStore.prototype.get = function (key) {
+  if (!this._entries.has(key)) {
+    return Promise.resolve(null);
+  }
+
+  var entry = this._entries.get(key);
+  this._entries.delete(key);
+  this._entries.set(key, entry);
+  return Promise.resolve(entry);
+};
+
+MemoryCacheStore.prototype.set = function (key, entry) {
+  this._entries.delete(key);
+  this._entries.set(key, entry);
+
+  while (this._entries.size > this.maxEntries) {
+    this._entries.delete(this._entries.keys().next().value);
+  }
+
+  return Promise.resolve();
+};
+
+MemoryCacheStore.prototype.delete = function (key) {
+  this._entries.delete(key);
+  return Promise.resolve();
+};
+
+module.exports = MemoryCacheStore;
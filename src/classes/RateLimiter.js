@@ -0,0 +1,91 @@
+// steamcommunity.com rate-limits inventory requests hard, so it's limited even when nothing is configured
+const DEFAULT_HOSTS = {
+  "steamcommunity.com": { interval: 1500, burst: 3 },
+};
+
+/**
+ * Spaces out requests per hostname using a token bucket, queueing the ones which arrive too early.
+ * Unless `interval` is set, requests to steamcommunity.com are limited to a burst of 3 and then one every 1.5 seconds;
+ * other hosts aren't limited. An entry for steamcommunity.com in `hosts` replaces that default.
+ * @param {object} [options]
+ * @param {int} [options.interval=0] - Milliseconds it takes to earn one request. 0 disables limiting.
+ * @param {int} [options.burst=1] - How many requests may be sent back to back after an idle period
+ * @param {int} [options.maxQueue=100] - How many requests may wait per host before new ones are rejected
+ * @param {object} [options.hosts] - Per-hostname overrides of interval, burst and maxQueue
+ */
+function RateLimiter(options) {
+  options = options || {};
+
+  this._defaults = {
+    interval: options.interval || 0,
+    burst: options.burst || 1,
+    maxQueue: typeof options.maxQueue === "number" ? options.maxQueue : 100,
+  };
+  this._hosts = typeof options.interval === "number" ? {} : Object.assign({}, DEFAULT_HOSTS);
+  Object.assign(this._hosts, options.hosts);
+  this._buckets = {};
+}
+
+RateLimiter.DEFAULT_HOSTS = DEFAULT_HOSTS;
+
+RateLimiter.prototype._getBucket = function (host) {
+  if (!this._buckets[host]) {
+    this._buckets[host] = Object.assign({ nextAt: 0, queued: 0 }, this._defaults, this._hosts[host]);
+  }
+
+  return this._buckets[host];
+};
+
+/**
+ * Run a task as soon as the host's bucket allows it.
+ * @param {string} host
+ * @param {function} task
+ * @returns {int|boolean} How many milliseconds the task was delayed by, or false if the host's queue is full and it was dropped
+ */
+RateLimiter.prototype.schedule = function (host, task) {
+  var bucket = this._getBucket(host);
+
+  if (!bucket.interval) {
+    task();
+    return 0;
+  }
+
+  var now = Date.now();
+  var nextAt = Math.max(bucket.nextAt, now);
+  var delay = Math.max(0, nextAt - (bucket.burst - 1) * bucket.interval - now);
+
+  if (delay > 0 && bucket.queued >= bucket.maxQueue) {
+    return false;
+  }
+
+  bucket.nextAt = nextAt + bucket.interval;
+
+  if (delay == 0) {
+    task();
+    return 0;
+  }
+
+  bucket.queued++;
+  setTimeout(function () {
+    bucket.queued--;
+    task();
+  }, delay);
+
+  return delay;
+};
+
+/**
+ * Get how many requests are waiting for each host.
+ * @returns {object}
+ */
+RateLimiter.prototype.getQueueLengths = function () {
+  var lengths = {};
+
+  for (var host in this._buckets) {
+    lengths[host] = this._buckets[host].queued;
+  }
+
+  return lengths;
+};
+
+module.exports = RateLimiter;
@@ -0,0 +1,93 @@
+const DEFAULT_STATUS_CODES = [429, 500, 502, 503, 504];
+const DEFAULT_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * Decides which failed requests are retried and how long to wait before each retry.
+ * @param {object} [options]
+ * @param {int} [options.maxAttempts=5] - How many times a request is sent in total, including the first attempt
+ * @param {int} [options.baseDelay=1000] - Milliseconds to wait before the first retry. Doubles with every attempt.
+ * @param {int} [options.maxDelay=30000] - Upper bound of the delay, including one from a Retry-After header
+ * @param {number} [options.jitter=0.2] - Fraction by which each delay is randomly shortened or lengthened
+ * @param {int[]} [options.statusCodes] - HTTP status codes which are retried. Defaults to 429, 500, 502, 503 and 504.
+ * @param {Array<string|function>} [options.errors] - Error codes (such as ECONNRESET) or error classes which are retried
+ */
+function RetryPolicy(options) {
+  options = options || {};
+
+  this.maxAttempts = typeof options.maxAttempts === "number" ? options.maxAttempts : 5;
+  this.baseDelay = typeof options.baseDelay === "number" ? options.baseDelay : 1000;
+  this.maxDelay = typeof options.maxDelay === "number" ? options.maxDelay : 30000;
+  this.jitter = typeof options.jitter === "number" ? options.jitter : 0.2;
+  this.statusCodes = options.statusCodes || DEFAULT_STATUS_CODES;
+  this.errors = options.errors || DEFAULT_ERRORS;
+}
+
+/**
+ * Create a policy which overrides some of this one's settings.
+ * @param {object} [options]
+ * @returns {RetryPolicy}
+ */
+RetryPolicy.prototype.extend = function (options) {
+  if (!options) {
+    return this;
+  }
+
+  return new RetryPolicy(Object.assign({}, this, options));
+};
+
+/**
+ * Check whether a failed attempt should be retried.
+ * @param {Error} err
+ * @param {int} attempt - The number of the attempt which failed, starting at 1
+ * @returns {boolean}
+ */
+RetryPolicy.prototype.shouldRetry = function (err, attempt) {
+  if (attempt >= this.maxAttempts) {
+    return false;
+  }
+
+  if (err.retryable) {
+    return true;
+  }
+
+  if (err.statusCode && this.statusCodes.indexOf(err.statusCode) != -1) {
+    return true;
+  }
+
+  return this.errors.some(function (match) {
+    if (typeof match === "function") {
+      return err instanceof match;
+    }
+
+    // Network errors are wrapped in a typed error, with the original one as their cause
+    return err.code === match || !!(err.cause && err.cause.code === match);
+  });
+};
+
+/**
+ * Get how many milliseconds to wait before retrying. A Retry-After header on the response takes precedence, but is
+ * capped at maxDelay too, so a server can't stall a retry for hours.
+ * @param {int} attempt - The number of the attempt which failed, starting at 1
+ * @param {object} [response]
+ * @returns {int}
+ */
+RetryPolicy.prototype.getDelay = function (attempt, response) {
+  var retryAfter = response && response.headers && response.headers["retry-after"];
+
+  if (retryAfter) {
+    var seconds = Number(retryAfter);
+    var delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+
+    if (!isNaN(delay)) {
+      return Math.min(this.maxDelay, Math.max(0, Math.round(delay)));
+    }
+  }
+
+  var backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(backoff * (1 - this.jitter + Math.random() * this.jitter * 2));
+};
+
+RetryPolicy.DEFAULT_STATUS_CODES = DEFAULT_STATUS_CODES;
+RetryPolicy.DEFAULT_ERRORS = DEFAULT_ERRORS;
+
+module.exports = RetryPolicy;
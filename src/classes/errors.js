@@ -0,0 +1,93 @@
+/**
+ * The base class of every error the inventory getters report. Besides the message, each error carries:
+ * - `code` - A stable string identifying the kind of error
+ * - `provider` - The name of the provider which reported it, if any
+ * - `statusCode` - The HTTP status code of the response, if any
+ * - `eresult` - The numeric EResult Steam reported, if any
+ */
+class SteamInventoryError extends Error {
+  constructor(message, details) {
+    super(message);
+
+    this.name = new.target.name;
+    this.code = new.target.CODE;
+    this.provider = null;
+    this.statusCode = null;
+    this.eresult = null;
+
+    Object.assign(this, details);
+  }
+}
+SteamInventoryError.CODE = "ERR_STEAM_INVENTORY";
+
+/** The inventory (or the whole profile) isn't public. */
+class PrivateProfileError extends SteamInventoryError {}
+PrivateProfileError.CODE = "ERR_PRIVATE_PROFILE";
+
+/** The provider rejected the API key. */
+class InvalidApiKeyError extends SteamInventoryError {}
+InvalidApiKeyError.CODE = "ERR_INVALID_API_KEY";
+
+/** Too many requests were made, either according to the provider or to the local request queue. */
+class RateLimitedError extends SteamInventoryError {}
+RateLimitedError.CODE = "ERR_RATE_LIMITED";
+
+/** The response couldn't be parsed as an inventory page. */
+class MalformedResponseError extends SteamInventoryError {}
+MalformedResponseError.CODE = "ERR_MALFORMED_RESPONSE";
+
+/** The request needed a login which is missing or has expired. */
+class SessionExpiredError extends SteamInventoryError {}
+SessionExpiredError.CODE = "ERR_SESSION_EXPIRED";
+
+/** The provider failed to answer, e.g. with a 5xx response or an error it asks to retry later. */
+class ProviderUnavailableError extends SteamInventoryError {}
+ProviderUnavailableError.CODE = "ERR_PROVIDER_UNAVAILABLE";
+
+/** A request was replayed which has no recorded response. Its `fixture` is the file which was looked for. */
+class FixtureNotFoundError extends SteamInventoryError {}
+FixtureNotFoundError.CODE = "ERR_FIXTURE_NOT_FOUND";
+
+/**
+ * Convert an error from httpRequest into a typed error based on the response status code.
+ * Errors which are already typed are returned as they are. Errors without a response (such as network errors) become
+ * ProviderUnavailableErrors with the original error, and its code (e.g. ECONNRESET), as their `cause`.
+ * @param {Error} err
+ * @param {object} [response]
+ * @param {string} [message] - Replaces the error's message
+ * @returns {Error}
+ */
+function fromHttpError(err, response, message) {
+  if (err instanceof SteamInventoryError) {
+    return err;
+  }
+
+  if (!response) {
+    return new ProviderUnavailableError(message || err.message, { cause: err });
+  }
+
+  var details = { statusCode: response.statusCode };
+  message = message || err.message;
+
+  if (response.statusCode == 429) {
+    return new RateLimitedError(message, details);
+  }
+
+  if (response.statusCode >= 500) {
+    return new ProviderUnavailableError(message, details);
+  }
+
+  return new SteamInventoryError(message, details);
+}
+
+module.exports = {
+  SteamInventoryError: SteamInventoryError,
+  PrivateProfileError: PrivateProfileError,
+  InvalidApiKeyError: InvalidApiKeyError,
+  RateLimitedError: RateLimitedError,
+  MalformedResponseError: MalformedResponseError,
+  SessionExpiredError: SessionExpiredError,
+  ProviderUnavailableError: ProviderUnavailableError,
+  FixtureNotFoundError: FixtureNotFoundError,
+  fromHttpError: fromHttpError,
+};
@@ -0,0 +1,126 @@
+const SteamID = require("steamid");
+const SteamInventory = require("../index.js");
+const Helpers = require("./helpers.js");
+
+/**
+ * Get the same inventory context of many users, a few at a time. A failing user doesn't fail the batch; its error is
+ * reported under `errors` instead. Requests still go through the instance's rate limiter and retry policy.
+ *
+ * Emits `bulkProgress` with { steamID, error, done, total, succeeded, failed } after each user, where `succeeded` and
+ * `failed` count this run's users so far. The result's `completed` lists the SteamID64s fetched successfully (including
+ * the ones skipped through `options.completed`) and can be persisted to resume the batch later, which then retries the
+ * users which failed.
+ * @param {Array<SteamID|string>} steamIDs
+ * @param {int} appID - The Steam application ID of the game for which you want inventories
+ * @param {int} contextID - The ID of the "context" within the game you want to retrieve
+ * @param {object} [options] - The same options as getInventory, plus:
+ * @param {int} [options.concurrency=5] - How many inventories to fetch at once
+ * @param {string|object} [options.provider="steamcommunity"] - The provider to fetch inventories with
+ * @param {string[]} [options.completed] - SteamID64s from a previous run's checkpoint to skip
+ * @param {function} [callback] - Called with (err, results, errors, completed), where results and errors are keyed by
+ *     SteamID64. Omit to get a Promise which resolves to { results, errors, completed }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getInventoriesBulk = function (steamIDs, appID, contextID, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      options = options || {};
+
+      var self = this;
+      var concurrency = Math.max(1, options.concurrency || 5);
+      var completed = (options.completed || []).map(String);
+      var succeeded = 0;
+      var failed = 0;
+      var skipped = {};
+      var results = {};
+      var errors = {};
+      var queue = [];
+
+      completed.forEach(function (steamID) {
+        skipped[steamID] = true;
+      });
+
+      (steamIDs || []).forEach(function (steamID) {
+        var steamID64 = typeof steamID === "string" ? steamID : steamID.getSteamID64();
+        if (!skipped[steamID64]) {
+          queue.push(steamID64);
+        }
+      });
+
+      var total = queue.length;
+      var done = 0;
+      var running = 0;
+
+      if (total == 0) {
+        callback(null, results, errors, completed);
+        return;
+      }
+
+      while (running < concurrency && queue.length > 0) {
+        fetchNext();
+      }
+
+      function fetchNext() {
+        var steamID64 = queue.shift();
+        var userOptions = Object.assign({}, options, { appID: appID, contextID: contextID });
+        var userID;
+        running++;
+
+        try {
+          userID = new SteamID(steamID64);
+        } catch (ex) {
+          setImmediate(finish, steamID64, new Error("The user's SteamID is invalid or missing."));
+          return;
+        }
+
+        self.getInventory(
+          options.provider || "steamcommunity",
+          userID,
+          userOptions,
+          function (err, inventory, currency, count) {
+            if (!err) {
+              results[steamID64] = { inventory: inventory, currency: currency, total: count };
+            }
+
+            finish(steamID64, err);
+          }
+        );
+      }
+
+      function finish(steamID64, err) {
+        running--;
+        done++;
+
+        if (err) {
+          errors[steamID64] = err;
+          failed++;
+        } else {
+          completed.push(steamID64);
+          succeeded++;
+        }
+
+        self.emit("bulkProgress", {
+          steamID: steamID64,
+          error: err || null,
+          done: done,
+          total: total,
+          succeeded: succeeded,
+          failed: failed,
+        });
+
+        if (queue.length > 0) {
+          fetchNext();
+        } else if (running == 0) {
+          callback(null, results, errors, completed);
+        }
+      }
+    },
+    ["results", "errors", "completed"]
+  );
+};
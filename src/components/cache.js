@@ -0,0 +1,73 @@
+const SteamInventory = require("../index.js");
+const InventoryCache = require("../classes/InventoryCache.js");
+
+SteamInventory.InventoryCache = InventoryCache;
+SteamInventory.MemoryCacheStore = require("../classes/MemoryCacheStore.js");
+SteamInventory.FileCacheStore = require("../classes/FileCacheStore.js");
+
+/**
+ * Serve an inventory from the cache if there is one configured and it holds a fresh enough copy, otherwise load it
+ * and store the result.
+ * @param {string} providerName
+ * @param {object} ctx - The provider context of the fetch
+ * @param {object} options - The getter options. `cache: false` skips the cache and `forceRefresh: true` skips reading from it.
+ * @param {function} load - Called with a callback to fetch the inventory
+ * @param {function} callback
+ * @private
+ */
+SteamInventory.prototype._getCachedInventory = function (providerName, ctx, options, load, callback) {
+  var cache = this._inventoryCache;
+
+  if (!cache || options.cache === false) {
+    load(callback);
+    return;
+  }
+
+  var self = this;
+  var key = cache.getKey(providerName, ctx);
+
+  if (options.forceRefresh) {
+    loadAndStore(callback);
+    return;
+  }
+
+  cache.get(key).then(
+    function (cached) {
+      setImmediate(respond, cached);
+    },
+    function (err) {
+      self.emit("cacheError", err);
+      setImmediate(respond, null);
+    }
+  );
+
+  function respond(cached) {
+    if (!cached) {
+      loadAndStore(callback);
+      return;
+    }
+
+    callback(null, cached.inventory, cached.currency, cached.total);
+
+    if (cached.stale && cache.startRevalidation(key)) {
+      loadAndStore(function () {
+        cache.endRevalidation(key);
+      });
+    }
+  }
+
+  function loadAndStore(callback) {
+    load(function (err, inventory, currency, total) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      cache.set(key, inventory, currency, total).catch(function (err) {
+        self.emit("cacheError", err);
+      });
+
+      callback(null, inventory, currency, total);
+    });
+  }
+};
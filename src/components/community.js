@@ -0,0 +1,15 @@
+const SteamInventory = require("../index.js");
+const Community = require("../items/community.js");
+
+/**
+ * Group the trading cards among a list of items by the app they belong to, counting the complete badge sets.
+ * Normal and foil cards are grouped separately.
+ * @param {CEconItem[]} items - Items from a Steam Community (753/6) inventory
+ * @param {object} [options]
+ * @param {Object<string, int>} [options.setSizes] - The number of distinct cards in each app's set, keyed by appid.
+ *   Without it, `sets` is null.
+ * @returns {{appid: int, foil: boolean, cards: object[], distinctCards: int, setSize: int|null, sets: int|null}[]}
+ */
+SteamInventory.getBadgeSets = function (items, options) {
+  return Community.getBadgeSets(items, options);
+};
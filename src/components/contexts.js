@@ -0,0 +1,152 @@
+const SteamID = require("steamid");
+const SteamInventory = require("../index.js");
+const Errors = require("../classes/errors.js");
+const Helpers = require("./helpers.js");
+
+/**
+ * Get the apps and contexts a user's inventory holds, as listed in `g_rgAppContextData` on their inventory page.
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {function} [callback] - Called with (err, apps), where apps maps each appid to its `rgContexts` and other details.
+ *     Omit to get a Promise which resolves to { apps }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getInventoryContexts = function (userID, callback) {
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      if (!userID) {
+        callback(new Error("The user's SteamID is invalid or missing."));
+        return;
+      }
+
+      if (typeof userID === "string") {
+        userID = new SteamID(userID);
+      }
+
+      var baseURL = this._getBaseURL(SteamInventory.getProvider("steamcommunity"));
+
+      this.httpRequest(
+        baseURL + "/profiles/" + userID.getSteamID64() + "/inventory/",
+        function (err, response, body) {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          var match = typeof body === "string" && body.match(/var g_rgAppContextData = (\{.*?\});/);
+          if (!match) {
+            if (typeof body === "string" && body.indexOf("profile_private_info") != -1) {
+              callback(new Errors.PrivateProfileError("This profile is private.", { provider: "steamcommunity" }));
+            } else {
+              callback(new Errors.MalformedResponseError("Malformed response", { provider: "steamcommunity" }));
+            }
+
+            return;
+          }
+
+          try {
+            callback(null, JSON.parse(match[1]));
+          } catch (ex) {
+            callback(new Errors.MalformedResponseError("Malformed response", { provider: "steamcommunity" }));
+          }
+        },
+        "steamcommunity"
+      );
+    },
+    ["apps"]
+  );
+};
+
+/**
+ * Get the contents of several contexts of a user's inventory in one call, one context after the other.
+ * A failing context doesn't fail the whole call; its error is reported under `contexts` instead.
+ * Items keep their `contextid`. Their `pos` is renumbered to run across the merged inventory and currency, in the
+ * order the contexts were fetched.
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {int} appID - The Steam application ID of the game for which you want an inventory
+ * @param {object} [options] - The same options as getInventory, plus:
+ * @param {Array<int|string>} [options.contexts] - The context IDs to fetch. Omit to fetch every context listed on the user's inventory page.
+ * @param {string|object} [options.provider="steamcommunity"] - The provider to fetch each context with
+ * @param {function} [callback] - Called with (err, inventory, currency, total, contexts), where contexts maps each
+ *     context ID to { total, error }. Omit to get a Promise which resolves to { inventory, currency, total, contexts }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getAppInventory = function (userID, appID, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      options = options || {};
+
+      var self = this;
+
+      if (options.contexts) {
+        fetchContexts(options.contexts);
+        return;
+      }
+
+      this.getInventoryContexts(userID, function (err, apps) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        var app = apps[appID];
+        fetchContexts(app && app.rgContexts ? Object.keys(app.rgContexts) : []);
+      });
+
+      function fetchContexts(contextIDs) {
+        var inventory = [];
+        var currency = [];
+        var total = 0;
+        var pos = 1;
+        var contexts = {};
+        var i = 0;
+
+        next();
+
+        function next() {
+          if (i >= contextIDs.length) {
+            callback(null, inventory, currency, total, contexts);
+            return;
+          }
+
+          var contextID = contextIDs[i++];
+          var contextOptions = Object.assign({}, options, { appID: appID, contextID: contextID });
+
+          self.getInventory(
+            options.provider || "steamcommunity",
+            userID,
+            contextOptions,
+            function (err, contextInventory, contextCurrency, contextTotal) {
+              if (err) {
+                contexts[contextID] = { total: 0, error: err };
+              } else {
+                contextInventory
+                  .concat(contextCurrency)
+                  .sort(function (a, b) {
+                    return a.pos - b.pos;
+                  })
+                  .forEach(function (item) {
+                    item.pos = pos++;
+                  });
+
+                Array.prototype.push.apply(inventory, contextInventory);
+                Array.prototype.push.apply(currency, contextCurrency);
+                total += contextTotal || 0;
+                contexts[contextID] = { total: contextTotal || 0, error: null };
+              }
+
+              next();
+            }
+          );
+        }
+      }
+    },
+    ["inventory", "currency", "total", "contexts"]
+  );
+};
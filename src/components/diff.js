@@ -0,0 +1,110 @@
+const SteamInventory = require("../index.js");
+const Helpers = require("./helpers.js");
+
+/**
+ * Compare two snapshots of an inventory.
+ *
+ * Items are matched by contextid and assetid (or currencyid). Unless `options.detectMoves` is false, a removed item
+ * and an added item sharing appid, classid and instanceid are paired up and reported as `moved` instead, since
+ * Steam gives items new assetids when they are moved between contexts or traded back.
+ * @param {CEconItem[]} before
+ * @param {CEconItem[]} after
+ * @param {object} [options]
+ * @param {boolean} [options.detectMoves=true]
+ * @returns {{added: object[], removed: object[], changed: object[], moved: object[]}} Plain objects which can be logged as JSON
+ */
+SteamInventory.diffInventories = function (before, after, options) {
+  options = options || {};
+
+  var beforeItems = indexItems(before || []);
+  var afterItems = indexItems(after || []);
+  var added = [];
+  var removed = [];
+  var changed = [];
+  var moved = [];
+
+  Object.keys(afterItems).forEach(function (key) {
+    var item = afterItems[key];
+    var previous = beforeItems[key];
+
+    if (!previous) {
+      added.push(item);
+      return;
+    }
+
+    if (previous.amount != item.amount || previous.classid != item.classid || previous.instanceid != item.instanceid) {
+      changed.push({
+        before: summarizeItem(previous),
+        after: summarizeItem(item),
+        amountDelta: (item.amount || 0) - (previous.amount || 0),
+      });
+    }
+  });
+
+  Object.keys(beforeItems).forEach(function (key) {
+    if (!afterItems[key]) {
+      removed.push(beforeItems[key]);
+    }
+  });
+
+  if (options.detectMoves !== false) {
+    var unmatched = {};
+
+    removed.forEach(function (item) {
+      var descriptionKey = getDescriptionKey(item);
+      (unmatched[descriptionKey] = unmatched[descriptionKey] || []).push(item);
+    });
+
+    added = added.filter(function (item) {
+      var candidates = unmatched[getDescriptionKey(item)];
+      if (!candidates || candidates.length == 0) {
+        return true;
+      }
+
+      var previous = candidates.shift();
+      moved.push({ from: summarizeItem(previous), to: summarizeItem(item) });
+      removed.splice(removed.indexOf(previous), 1);
+      return false;
+    });
+  }
+
+  return {
+    added: added.map(summarizeItem),
+    removed: removed.map(summarizeItem),
+    changed: changed,
+    moved: moved,
+  };
+};
+
+function indexItems(items) {
+  var index = {};
+
+  items.forEach(function (item) {
+    index[Helpers.getItemKey(item)] = item;
+  });
+
+  return index;
+}
+
+function getDescriptionKey(item) {
+  return item.appid + "_" + item.classid + "_" + (item.instanceid || "0");
+}
+
+function summarizeItem(item) {
+  var summary = {
+    appid: item.appid,
+    contextid: item.contextid,
+    classid: item.classid,
+    instanceid: item.instanceid,
+    amount: item.amount,
+    market_hash_name: item.market_hash_name,
+  };
+
+  if (item.is_currency || item.currencyid) {
+    summary.currencyid = item.currencyid;
+  } else {
+    summary.assetid = item.assetid || item.id;
+  }
+
+  return summary;
+}
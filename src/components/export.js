@@ -0,0 +1,91 @@
+const SteamInventory = require("../index.js");
+const InventoryExportStream = require("../classes/InventoryExportStream.js");
+const Helpers = require("./helpers.js");
+
+SteamInventory.InventoryExportStream = InventoryExportStream;
+
+/**
+ * Create a stream which turns the CEconItems (or arrays or inventory pages of them) written to it into CSV or NDJSON.
+ * @param {object} [options] - See InventoryExportStream
+ * @returns {InventoryExportStream}
+ */
+SteamInventory.createExportStream = function (options) {
+  return new InventoryExportStream(options);
+};
+
+/**
+ * Fetch an inventory page by page and write it to a stream as CSV or NDJSON, without holding all of it in memory.
+ * @param {string|object} provider - The name of a registered provider, or a provider object
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {object} options - The same options as getInventory, plus:
+ * @param {object} [options.export] - Options for the InventoryExportStream, plus `end` (default true) to end
+ *   `writable` once the export completes
+ * @param {stream.Writable} writable - Where to write the export, e.g. a file stream
+ * @param {function} [callback] - Called with (err, count). If omitted, a Promise resolving to { count } is returned.
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.exportInventory = function (provider, userID, options, writable, callback) {
+  options = options || {};
+
+  var exportOptions = options.export || {};
+  var self = this;
+
+  return Helpers.callbackOrPromise(
+    callback,
+    function (callback) {
+      var exporter;
+
+      try {
+        exporter = new InventoryExportStream(exportOptions);
+      } catch (ex) {
+        callback(ex);
+        return;
+      }
+
+      var count = 0;
+      var failed = false;
+      var fail = function (err) {
+        if (!failed) {
+          failed = true;
+          exporter.unpipe(writable);
+          callback(err);
+        }
+      };
+
+      writable.on("error", fail);
+      exporter.pipe(writable, { end: exportOptions.end !== false });
+
+      (async function () {
+        for await (var page of self.iterateInventory(provider, userID, options)) {
+          if (failed) {
+            return;
+          }
+
+          count += page.inventory.length + page.currency.length;
+
+          if (!exporter.write(page)) {
+            await new Promise(function (resolve) {
+              exporter.once("drain", resolve);
+            });
+          }
+        }
+
+        exporter.end();
+        await new Promise(function (resolve) {
+          if (exportOptions.end !== false) {
+            writable.once("finish", resolve);
+          } else {
+            exporter.once("end", resolve);
+          }
+        });
+
+        writable.removeListener("error", fail);
+
+        if (!failed) {
+          callback(null, count);
+        }
+      })().catch(fail);
+    },
+    ["count"]
+  );
+};
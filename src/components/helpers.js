@@ -0,0 +1,157 @@
+const RetryPolicy = require("../classes/RetryPolicy.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * Normalize the arguments an inventory getter received after the SteamID.
+ * Accepts either an options object followed by an optional callback, or the legacy
+ * positional form (appID, contextID, tradableOnly, [language], [callback]).
+ * @param {Array} args
+ * @returns {{appID: int, contextID: int, tradableOnly: boolean, language: string, callback: function|undefined}}
+ */
+exports.parseInventoryArgs = function (args) {
+  var options;
+  var callback;
+
+  if (args[0] && typeof args[0] === "object") {
+    options = Object.assign({}, args[0]);
+    callback = args[1];
+
+    if (typeof options.language === "undefined") {
+      options.language = "english";
+    }
+  } else {
+    options = {
+      appID: args[0],
+      contextID: args[1],
+      tradableOnly: args[2],
+      language: args[3],
+    };
+    callback = args[4];
+
+    if (typeof options.language === "function") {
+      callback = options.language;
+      options.language = "english";
+    }
+  }
+
+  options.tradableOnly = !!options.tradableOnly;
+  options.callback = typeof callback === "function" ? callback : undefined;
+  return options;
+};
+
+/**
+ * Run an inventory fetch either with a node-style callback or, if none was given, as a Promise.
+ * The callback receives (err, inventory, currency, total); the Promise resolves to { inventory, currency, total }.
+ * @param {function|undefined} callback
+ * @param {function} run - Called with the callback to invoke on completion
+ * @param {string[]} [keys] - The names of the callback's result arguments, which become the resolved object's keys
+ * @returns {Promise|undefined}
+ */
+exports.callbackOrPromise = function (callback, run, keys) {
+  if (callback) {
+    run(callback);
+    return;
+  }
+
+  keys = keys || ["inventory", "currency", "total"];
+
+  return new Promise(function (resolve, reject) {
+    run(function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      var result = {};
+      for (var i = 0; i < keys.length; i++) {
+        result[keys[i]] = arguments[i + 1];
+      }
+
+      resolve(result);
+    });
+  });
+};
+
+/**
+ * Parse a page in the shape returned by the community inventory endpoint (and the mirrors which copy it).
+ * @param {object} body
+ * @returns {{assets: object[], descriptions: object[], total: int, moreItems: boolean, lastAssetID: string}|Error}
+ */
+exports.parseInventoryPage = function (body) {
+  if (body && body.success && body.total_inventory_count === 0) {
+    return { assets: [], descriptions: [], total: 0, moreItems: false, lastAssetID: null };
+  }
+
+  if (!body || !body.success || !body.assets || !body.descriptions) {
+    return new Errors.MalformedResponseError((body && (body.error || body.Error)) || "Malformed response");
+  }
+
+  return {
+    assets: body.assets,
+    descriptions: body.descriptions,
+    total: body.total_inventory_count,
+    moreItems: !!body.more_items,
+    lastAssetID: body.last_assetid,
+  };
+};
+
+/**
+ * Get the start_assetid of the page following a parsed page, or null if it was the last one.
+ * @param {object} page - A page returned by a provider's parsePage
+ * @returns {string|null}
+ */
+exports.getNextInventoryCursor = function (page) {
+  return page.moreItems ? page.lastAssetID : null;
+};
+
+/**
+ * Flag an error as one which a retry of the same request may not hit again.
+ * @param {Error} err
+ * @param {boolean} retryable
+ * @returns {Error}
+ */
+exports.markRetryable = function (err, retryable) {
+  if (retryable) {
+    err.retryable = true;
+  }
+
+  return err;
+};
+
+/**
+ * Check whether a failed request is worth trying again, either on the same provider or on another one.
+ * Errors a provider flagged `retryable`, network failures (also when wrapped as a typed error's `cause`), 402, 429 and
+ * 5xx responses count as such.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+exports.isRetryableError = function (err) {
+  if (!err) {
+    return false;
+  }
+
+  if (err.retryable) {
+    return true;
+  }
+
+  if (
+    RetryPolicy.DEFAULT_ERRORS.indexOf(err.code) != -1 ||
+    (err.cause && RetryPolicy.DEFAULT_ERRORS.indexOf(err.cause.code) != -1)
+  ) {
+    return true;
+  }
+
+  var statusCode = err.statusCode || (typeof err.code === "number" ? err.code : 0);
+  return statusCode == 402 || statusCode == 429 || statusCode >= 500;
+};
+
+/**
+ * Get the key which identifies an item within an inventory: its contextid and assetid, or currencyid for currencies.
+ * @param {CEconItem} item
+ * @returns {string}
+ */
+exports.getItemKey = function (item) {
+  return item.is_currency || item.currencyid
+    ? "currency_" + item.contextid + "_" + item.currencyid
+    : item.contextid + "_" + (item.assetid || item.id);
+};
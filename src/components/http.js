@@ -1,4 +1,5 @@
 const SteamInventory = require("../index.js");
+const Errors = require("../classes/errors.js");
 
 SteamInventory.prototype.httpRequest = function (uri, options, callback, source) {
   if (typeof uri === "object") {
@@ -44,47 +45,301 @@ SteamInventory.prototype.httpRequest = function (uri, options, callback, source)
       return;
     }
 
-    self.request(options, function (err, response, body) {
-      var hasCallback = !!callback;
-      var httpError = options.checkHttpError !== false && self._checkHttpError(err, response, callback, body);
-      var communityError =
-        !options.json &&
-        options.checkCommunityError !== false &&
-        self._checkCommunityError(body, httpError ? function () {} : callback);
-      var tradeError =
-        !options.json &&
-        options.checkTradeError !== false &&
-        self._checkTradeError(body, httpError || communityError ? function () {} : callback);
-      var jsonError =
-        options.json && options.checkJsonError !== false && !body ? new Error("Malformed JSON response") : null;
-
-      self.emit(
-        "postHttpRequest",
-        requestID,
-        source,
-        options,
-        httpError || communityError || tradeError || jsonError || null,
-        response,
-        body,
-        {
-          hasCallback: hasCallback,
-          httpError: httpError,
-          communityError: communityError,
-          tradeError: tradeError,
-          jsonError: jsonError,
+    var layers = self._middleware.filter(function (layer) {
+      return matchesSource(layer.source, source);
+    });
+
+    runMiddleware(layers, { id: requestID, source: source, options: options }, function (ctx) {
+      options = ctx.options;
+      return scheduleRequest();
+    })
+      .catch(function (err) {
+        return { err: err };
+      })
+      .then(function (result) {
+        // Leave the promise chain so exceptions thrown by the callback aren't swallowed
+        process.nextTick(handleResult, result.err || null, result.response, result.body);
+      });
+  }
+
+  // Only requests which middleware pass on to the transport are rate-limited, so answers from e.g. a cache are free
+  function scheduleRequest() {
+    return new Promise(function (resolve) {
+      var host = getHostname(options.url);
+      var delay = self._rateLimiter.schedule(host, function () {
+        resolve(sendRequest());
+      });
+
+      if (delay === false) {
+        self.emit("requestQueueOverflow", requestID, source, host);
+        resolve({ err: new Errors.RateLimitedError("The request queue for " + host + " is full") });
+        return;
+      }
+
+      if (delay > 0) {
+        self.emit("requestDelayed", requestID, source, host, delay);
+      }
+    });
+  }
+
+  function sendRequest() {
+    var started = Date.now();
+
+    return sendThroughTransport(self, options)
+      .catch(function (err) {
+        // The transport threw instead of calling back
+        return { err: err };
+      })
+      .then(function (result) {
+        var duration = Date.now() - started;
+        self._metrics.recordRequest(source, getHostname(options.url), result.err, result.response, duration);
+        return result;
+      });
+  }
+
+  function handleResult(err, response, body) {
+    if (!err && !response) {
+      // A middleware answered without a response object
+      response = { statusCode: 200, headers: {}, body: body };
+    }
+
+    var hasCallback = !!callback;
+    var httpError = options.checkHttpError !== false && self._checkHttpError(err, response, callback, body);
+    var communityError =
+      !options.json &&
+      options.checkCommunityError !== false &&
+      self._checkCommunityError(body, httpError ? function () {} : callback);
+    var tradeError =
+      !options.json &&
+      options.checkTradeError !== false &&
+      self._checkTradeError(body, httpError || communityError ? function () {} : callback);
+    var jsonError =
+      options.json && options.checkJsonError !== false && !body
+        ? new Errors.MalformedResponseError("Malformed JSON response")
+        : null;
+
+    self.emit(
+      "postHttpRequest",
+      requestID,
+      source,
+      options,
+      httpError || communityError || tradeError || jsonError || null,
+      response,
+      body,
+      {
+        hasCallback: hasCallback,
+        httpError: httpError,
+        communityError: communityError,
+        tradeError: tradeError,
+        jsonError: jsonError,
+      }
+    );
+
+    if (hasCallback && !(httpError || communityError || tradeError)) {
+      if (jsonError) {
+        callback.call(self, jsonError, response);
+      } else {
+        callback.call(self, err, response, body);
+      }
+    }
+  }
+};
+
+/**
+ * Add a middleware around the transport of every HTTP request, or of those from some sources.
+ *
+ * A middleware is an async function called with (ctx, next). `ctx` holds the request's `id`, `source` and `options`
+ * (the request-style options it will be sent with, which the middleware may change). Calling `next()` passes the
+ * request on to the next middleware, or to the transport, and resolves to `{ err, response, body }`. A middleware
+ * returns such a result: the one it got from next(), a changed one (e.g. with a transformed body or a converted
+ * error) or one of its own without calling next() at all. An exception thrown by a middleware becomes the result's
+ * `err`.
+ * Middleware run in the order they were added, before the response's error checks. Rate limiting applies only when a
+ * request is passed on to the transport, so a middleware answering on its own (e.g. from a cache) isn't delayed.
+ * @param {function} middleware
+ * @param {object} [options]
+ * @param {string|string[]|RegExp} [options.source] - Only run for requests from these sources, e.g. provider names
+ * @returns {SteamInventory}
+ */
+SteamInventory.prototype.use = function (middleware, options) {
+  if (typeof middleware !== "function") {
+    throw new Error("The middleware must be a function.");
+  }
+
+  this._middleware.push({ fn: middleware, source: (options || {}).source });
+  return this;
+};
+
+function matchesSource(filter, source) {
+  if (filter === undefined || filter === null) {
+    return true;
+  }
+
+  if (filter instanceof RegExp) {
+    return filter.test(source);
+  }
+
+  return [].concat(filter).indexOf(source) != -1;
+}
+
+function runMiddleware(layers, ctx, send) {
+  var dispatch = function (index) {
+    if (index == layers.length) {
+      // Exceptions from the core become results, like those from middleware
+      return Promise.resolve()
+        .then(function () {
+          return send(ctx);
+        })
+        .catch(function (err) {
+          return { err: err };
+        });
+    }
+
+    var nextResult = null;
+    var next = function () {
+      nextResult = nextResult || dispatch(index + 1);
+      return nextResult;
+    };
+
+    return Promise.resolve()
+      .then(function () {
+        return layers[index].fn(ctx, next);
+      })
+      .then(function (result) {
+        if (result) {
+          return result;
+        }
+
+        if (nextResult) {
+          return nextResult;
         }
-      );
 
-      if (hasCallback && !(httpError || communityError || tradeError)) {
-        if (jsonError) {
-          callback.call(self, jsonError, response);
-        } else {
-          callback.apply(self, arguments);
+        throw new Error("A middleware neither called next() nor returned a result.");
+      })
+      .catch(function (err) {
+        return { err: err };
+      });
+  };
+
+  return dispatch(0);
+}
+
+/**
+ * Send request-style options through the instance's transport and endpoint pool, storing the response's cookies and
+ * parsing its body if it's JSON.
+ * @param {SteamInventory} self
+ * @param {object} options
+ * @returns {Promise<{err: Error|null, response: object|undefined, body: *}>} Never rejects
+ */
+function sendThroughTransport(self, options) {
+  return new Promise(function (resolve) {
+    var endpoint = self._endpointPool ? self._endpointPool.acquire() : null;
+
+    if (endpoint) {
+      options.proxy = self._endpointPool.getProxyURL(endpoint) || undefined;
+      options.localAddress = endpoint.localAddress || undefined;
+    }
+
+    var transportRequest;
+
+    try {
+      transportRequest = buildTransportRequest(self, options);
+    } catch (ex) {
+      resolve({ err: ex });
+      return;
+    }
+
+    self.transport.send(transportRequest, function (err, response) {
+      var body;
+
+      if (endpoint) {
+        self._endpointPool.report(endpoint, err, response);
+      }
+
+      if (response) {
+        storeResponseCookies(self, response, transportRequest.url);
+
+        body = response.body;
+        if (options.json && typeof body === "string") {
+          try {
+            body = response.body = JSON.parse(body);
+          } catch (ex) {
+            // Leave it a string, like request does; callers check the body's shape
+          }
         }
       }
+
+      resolve({ err: err || null, response: response, body: body });
+    });
+  });
+}
+
+/**
+ * Turn request-style options (url, qs, form, json, headers, ...) into the normalized request a transport sends.
+ * @param {SteamInventory} self
+ * @param {object} options
+ * @returns {object}
+ */
+function buildTransportRequest(self, options) {
+  var url = new URL(options.url);
+  var headers = Object.assign({ "User-Agent": self._userAgent }, options.headers);
+  var body = options.body;
+
+  Object.keys(options.qs || {}).forEach(function (key) {
+    var value = options.qs[key];
+
+    [].concat(value).forEach(function (value) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value);
+      }
     });
+  });
+
+  if (options.form) {
+    body = typeof options.form === "string" ? options.form : new URLSearchParams(options.form).toString();
+    headers["Content-Type"] = headers["Content-Type"] || "application/x-www-form-urlencoded";
+  } else if (options.json && body && typeof body === "object" && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    headers["Content-Type"] = headers["Content-Type"] || "application/json";
   }
-};
+
+  if (options.json) {
+    headers.Accept = headers.Accept || "application/json";
+  }
+
+  var cookies = self._jar.getCookieString(url.href);
+  if (cookies) {
+    headers.Cookie = headers.Cookie ? headers.Cookie + "; " + cookies : cookies;
+  }
+
+  return {
+    method: (options.method || "GET").toUpperCase(),
+    url: url.href,
+    headers: headers,
+    body: body,
+    timeout: options.timeout || self._timeout,
+    proxy: options.proxy || null,
+    localAddress: options.localAddress || self._options.localAddress || null,
+    followRedirect: options.followRedirect !== false,
+    encoding: options.encoding,
+  };
+}
+
+function storeResponseCookies(self, response, url) {
+  var cookies = response.headers && response.headers["set-cookie"];
+
+  [].concat(cookies || []).forEach(function (cookie) {
+    self._jar.setCookie(cookie, response.url || url);
+  });
+}
+
+function getHostname(uri) {
+  try {
+    return new URL(uri).hostname;
+  } catch (ex) {
+    return "";
+  }
+}
 
 SteamInventory.prototype.httpRequestGet = function () {
   this._httpRequestConvenienceMethod = "GET";
@@ -96,6 +351,43 @@ SteamInventory.prototype.httpRequestPost = function () {
   return this.httpRequest.apply(this, arguments);
 };
 
+/**
+ * Get the health of every endpoint in the pool given as the `endpointPool` option.
+ * @returns {object[]} Empty if there is no pool
+ */
+SteamInventory.prototype.getEndpointStats = function () {
+  return this._endpointPool ? this._endpointPool.getStats() : [];
+};
+
+/**
+ * Get the request counters, latency histograms and health scores collected so far, per provider and per host.
+ * Requests and latency count every HTTP request sent; successes, errors (by code), retries, pages and items count
+ * inventory page requests.
+ * @returns {{providers: object, hosts: object}}
+ */
+SteamInventory.prototype.getStats = function () {
+  return this._metrics.getStats();
+};
+
+/**
+ * Get the statistics of getStats in the Prometheus text exposition format, e.g. to serve from a /metrics endpoint.
+ * @param {string} [prefix="steam_inventory_"] - Prepended to every metric name
+ * @returns {string}
+ */
+SteamInventory.prototype.getPrometheusMetrics = function (prefix) {
+  return this._metrics.toPrometheus(prefix);
+};
+
+/**
+ * Get a provider's rolling health score: the share of its recent inventory page requests which didn't fail through
+ * its own fault (rate limits, server and network errors). 1 if it wasn't used recently.
+ * @param {string|object} provider - A provider name or object
+ * @returns {number} Between 0 and 1
+ */
+SteamInventory.prototype.getProviderHealth = function (provider) {
+  return this._metrics.getHealth((SteamInventory.getProvider(provider) || {}).name || provider);
+};
+
 SteamInventory.prototype._notifySessionExpired = function (err) {
   this.emit("sessionExpired", err);
 };
@@ -106,8 +398,12 @@ SteamInventory.prototype._checkHttpError = function (err, response, callback, bo
     return err;
   }
 
-  if (response.statusCode >= 300 && response.statusCode <= 399 && response.headers.location.indexOf("/login") != -1) {
-    err = new Error("Not Logged In");
+  if (
+    response.statusCode >= 300 &&
+    response.statusCode <= 399 &&
+    (response.headers.location || "").indexOf("/login") != -1
+  ) {
+    err = new Errors.SessionExpiredError("Not Logged In");
     callback(err, response, body);
     this._notifySessionExpired(err);
     return err;
@@ -148,7 +444,7 @@ SteamInventory.prototype._checkCommunityError = function (html, callback) {
     html.indexOf("g_steamID = false;") > -1 &&
     html.indexOf("<title>Sign In</title>") > -1
   ) {
-    err = new Error("Not Logged In");
+    err = new Errors.SessionExpiredError("Not Logged In");
     callback(err);
     this._notifySessionExpired(err);
     return err;
@@ -1,683 +1,377 @@
 const SteamID = require("steamid");
 const CEconItem = require("../classes/CEconItem.js");
+const InventoryQuery = require("../classes/InventoryQuery.js");
 const SteamInventory = require("../index.js");
+const Helpers = require("./helpers.js");
 
 /**
- * Get the contents of a user's inventory context.
+ * Get the contents of a user's inventory context through an inventory provider.
+ * @param {string|object} provider - The name of a registered provider, or a provider object
  * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
- * @param {int} appID - The Steam application ID of the game for which you want an inventory
- * @param {int} contextID - The ID of the "context" within the game you want to retrieve
- * @param {boolean} tradableOnly - true to get only tradable items and currencies
- * @param {string} [language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
- * @param {function} callback
+ * @param {object} options
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Defaults to english
+ * @param {string} [options.apiKey] - The provider's API key, if it requires one
+ * @param {InventoryQuery|object} [options.filter] - Only keep items matching this query or serialized query. Its sort order doesn't apply.
+ *     A serialized query can't hold regular expression name filters; build an InventoryQuery for those.
+ * @param {object} [options.retry] - Overrides of the instance's retry policy settings for this call
+ * @param {boolean} [options.forceRefresh] - true to fetch the inventory even if the cache holds a fresh copy
+ * @param {boolean} [options.cache] - false to bypass the cache entirely
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
  */
-SteamInventory.prototype.getUserInventoryContents = function (
-  userID,
-  appID,
-  contextID,
-  tradableOnly,
-  language,
-  callback
-) {
-  if (typeof language === "function") {
-    callback = language;
-    language = "english";
-  }
-
-  if (!userID) {
-    callback(new Error("The user's SteamID is invalid or missing."));
-    return;
-  }
+SteamInventory.prototype.getInventory = function (provider, userID, options, callback) {
+  return Helpers.callbackOrPromise(callback, (callback) => {
+    var fetch = createInventoryFetch(this, provider, userID, options);
 
-  var self = this;
+    if (fetch instanceof Error) {
+      callback(fetch);
+      return;
+    }
 
-  if (typeof userID === "string") {
-    userID = new SteamID(userID);
-  }
+    this._getCachedInventory(fetch.provider.name, fetch.ctx, options || {}, load, callback);
 
-  var pos = 1;
-  get([], []);
+    function load(callback) {
+      var inventory = [];
+      var currency = [];
 
-  function get(inventory, currency, start) {
-    self.httpRequest(
-      {
-        uri: "https://steamcommunity.com/inventory/" + userID.getSteamID64() + "/" + appID + "/" + contextID,
-        headers: {
-          Referer: "https://steamcommunity.com/profiles/" + userID.getSteamID64() + "/inventory",
-        },
-        qs: {
-          l: language,
-          count: 2000,
-          start_assetid: start,
-        },
-        json: true,
-      },
-      function (err, response, body) {
+      fetchInventoryPage(fetch, undefined, function onPage(err, page, next) {
         if (err) {
-          if (err.message == "HTTP error 403" && body === null) {
-            if (self.steamID && userID.getSteamID64() == self.steamID.getSteamID64()) {
-              self._notifySessionExpired(err);
-            }
-
-            callback(new Error("This profile is private."));
-            return;
-          }
-
-          if (err.message == "HTTP error 500" && body && body.error) {
-            err = new Error(body.error);
-
-            var match = body.error.match(/^(.+) \((\d+)\)$/);
-            if (match) {
-              err.message = match[1];
-              err.eresult = match[2];
-              callback(err);
-              return;
-            }
-          }
-
           callback(err);
           return;
         }
 
-        if (body && body.success && body.total_inventory_count === 0) {
-          callback(null, [], [], 0);
-          return;
-        }
-
-        if (!body || !body.success || !body.assets || !body.descriptions) {
-          if (body) {
-            callback(new Error(body.error || body.Error || "Malformed response"));
-          } else {
-            callback(new Error("Malformed response"));
-          }
-
-          return;
-        }
-
-        for (var i = 0; i < body.assets.length; i++) {
-          var description = getDescription(body.descriptions, body.assets[i].classid, body.assets[i].instanceid);
-
-          if (!tradableOnly || (description && description.tradable)) {
-            body.assets[i].pos = pos++;
-            (body.assets[i].currencyid ? currency : inventory).push(
-              new CEconItem(body.assets[i], description, contextID)
-            );
-          }
-        }
+        Array.prototype.push.apply(inventory, page.inventory);
+        Array.prototype.push.apply(currency, page.currency);
 
-        if (body.more_items) {
-          get(inventory, currency, body.last_assetid);
+        if (next) {
+          fetchInventoryPage(fetch, next, onPage);
         } else {
-          callback(null, inventory, currency, body.total_inventory_count);
+          callback(null, inventory, currency, page.total_inventory_count);
         }
-      },
-      "steamcommunity"
-    );
-  }
-
-  var quickDescriptionLookup = {};
-
-  function getDescription(descriptions, classID, instanceID) {
-    var key = classID + "_" + (instanceID || "0");
-
-    if (quickDescriptionLookup[key]) {
-      return quickDescriptionLookup[key];
-    }
-
-    for (var i = 0; i < descriptions.length; i++) {
-      quickDescriptionLookup[descriptions[i].classid + "_" + (descriptions[i].instanceid || "0")] = descriptions[i];
+      });
     }
-
-    return quickDescriptionLookup[key];
-  }
+  });
 };
 
 /**
- * Get the contents of a user's inventory context.
- * @param {string} apiKey - The steam web api key
+ * Iterate over the pages of a user's inventory context as they arrive, instead of buffering the whole inventory.
+ * Each page is an object with `inventory` and `currency` arrays of CEconItem, `last_assetid`, `more_items`
+ * and `total_inventory_count`. Breaking out of the loop stops fetching further pages.
+ * @param {string|object} provider - The name of a registered provider, or a provider object
  * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
- * @param {int} appID - The Steam application ID of the game for which you want an inventory
- * @param {int} contextID - The ID of the "context" within the game you want to retrieve
- * @param {boolean} tradableOnly - true to get only tradable items and currencies
- * @param {string} [language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
- * @param {function} callback
+ * @param {object} options - The same options as getInventory
+ * @returns {AsyncIterableIterator<object>}
  */
-SteamInventory.prototype.getInventoryItemsWithDescriptions = function (
-  apiKey,
-  userID,
-  appID,
-  contextID,
-  tradableOnly,
-  language,
-  callback
-) {
-  if (typeof language === "function") {
-    callback = language;
-    language = "english";
-  }
-
-  if (!userID) {
-    callback(new Error("The user's SteamID is invalid or missing."));
-    return;
-  }
-
-  if (!apiKey) {
-    callback(new Error("The apiKey is missing."));
-    return;
-  }
-
-  var self = this;
+SteamInventory.prototype.iterateInventory = async function* (provider, userID, options) {
+  var fetch = createInventoryFetch(this, provider, userID, options);
 
-  if (typeof userID === "string") {
-    userID = new SteamID(userID);
+  if (fetch instanceof Error) {
+    throw fetch;
   }
 
-  var pos = 1;
-  get([], []);
+  var start;
 
-  function get(inventory, currency, start) {
-    self.httpRequest(
-      {
-        uri: "https://api.steampowered.com/IEconService/GetInventoryItemsWithDescriptions/v1",
-        qs: {
-          key: apiKey,
-          appid: appID,
-          contextid: contextID,
-          steamid: userID.getSteamID64(),
-          language: language,
-          start_assetid: start,
-          get_descriptions: true,
-        },
-        json: true,
-      },
-      function (err, response, body) {
+  do {
+    var result = await new Promise(function (resolve, reject) {
+      fetchInventoryPage(fetch, start, function (err, page, next) {
         if (err) {
-          if (response.statusCode == 403) {
-            callback(new Error("Invalid API key"));
-            return;
-          }
-
-          callback(err);
+          reject(err);
           return;
         }
 
-        if (body && body.response.total_inventory_count === 0) {
-          callback(null, [], [], 0);
-          return;
-        }
-
-        if (!body || !body.response.assets || !body.response.descriptions) {
-          if (body) {
-            callback(new Error(body.error || body.Error || "Malformed response"));
-          } else {
-            callback(new Error("Malformed response"));
-          }
+        resolve({ page: page, next: next });
+      });
+    });
 
-          return;
-        }
+    start = result.next;
+    yield result.page;
+  } while (start);
+};
 
-        for (var i = 0; i < body.response.assets.length; i++) {
-          var description = getDescription(
-            body.response.descriptions,
-            body.response.assets[i].classid,
-            body.response.assets[i].instanceid
-          );
-
-          if (!tradableOnly || (description && description.tradable)) {
-            body.response.assets[i].pos = pos++;
-            (body.response.assets[i].currencyid ? currency : inventory).push(
-              new CEconItem(body.response.assets[i], description, contextID)
-            );
-          }
-        }
+function createInventoryFetch(self, provider, userID, options) {
+  var name = provider;
+  provider = SteamInventory.getProvider(provider);
 
-        if (body.response.more_items) {
-          get(inventory, currency, body.response.last_assetid);
-        } else {
-          callback(null, inventory, currency, body.response.total_inventory_count);
-        }
-      },
-      "steamcommunity"
-    );
+  if (!provider) {
+    return new Error("Unknown inventory provider " + name);
   }
 
-  var quickDescriptionLookup = {};
-
-  function getDescription(descriptions, classID, instanceID) {
-    var key = classID + "_" + (instanceID || "0");
-
-    if (quickDescriptionLookup[key]) {
-      return quickDescriptionLookup[key];
-    }
-
-    for (var i = 0; i < descriptions.length; i++) {
-      quickDescriptionLookup[descriptions[i].classid + "_" + (descriptions[i].instanceid || "0")] = descriptions[i];
+  if (typeof name === "object") {
+    // An unregistered provider object, which gets the same checks and defaults as registered ones
+    try {
+      provider = SteamInventory._normalizeProvider(provider);
+    } catch (ex) {
+      return ex;
     }
-
-    return quickDescriptionLookup[key];
-  }
-};
-
-/**
- * Get the contents of a user's inventory context.
- * @param {string} apiKey - The steamapis apikey
- * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
- * @param {int} appID - The Steam application ID of the game for which you want an inventory
- * @param {int} contextID - The ID of the "context" within the game you want to retrieve
- * @param {boolean} tradableOnly - true to get only tradable items and currencies
- * @param {string} [language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
- * @param {function} callback
- */
-SteamInventory.prototype.getUserInventorySteamApis = function (
-  apiKey,
-  userID,
-  appID,
-  contextID,
-  tradableOnly,
-  language,
-  callback
-) {
-  if (typeof language === "function") {
-    callback = language;
-    language = "english";
   }
 
   if (!userID) {
-    callback(new Error("The user's SteamID is invalid or missing."));
-    return;
+    return new Error("The user's SteamID is invalid or missing.");
   }
 
-  if (!apiKey) {
-    callback(new Error("The apiKey is missing."));
-    return;
+  options = options || {};
+
+  if (provider.requiresApiKey && !options.apiKey) {
+    return new Error("The apiKey is missing.");
   }
 
-  var self = this;
+  var filter;
 
-  if (typeof userID === "string") {
-    userID = new SteamID(userID);
+  try {
+    // A query built in-process may use regular expressions; a serialized one may come from a client
+    filter =
+      options.filter instanceof InventoryQuery
+        ? new InventoryQuery(options.filter.toJSON(), { allowRegExp: true })
+        : new InventoryQuery(options.filter);
+  } catch (ex) {
+    return ex;
   }
 
-  var pos = 1;
-  get([], []);
+  if (options.tradableOnly) {
+    filter.tradable(true);
+  }
 
-  function get(inventory, currency, start, retries = 5) {
+  return {
+    self: self,
+    provider: provider,
+    ctx: {
+      steamID: typeof userID === "string" ? new SteamID(userID) : userID,
+      appID: options.appID,
+      contextID: options.contextID,
+      language: typeof options.language === "undefined" ? "english" : options.language,
+      apiKey: options.apiKey,
+      tradableOnly: !!options.tradableOnly,
+      filter: filter,
+      baseURL: options.baseURL || self._getBaseURL(provider),
+    },
+    retryPolicy: self._retryPolicy.extend(options.retry),
+    pos: 1,
+    quickDescriptionLookup: {},
+  };
+}
+
+function fetchInventoryPage(fetch, start, callback) {
+  var self = fetch.self;
+  var provider = fetch.provider;
+  var ctx = fetch.ctx;
+
+  get(1);
+
+  function get(attempt) {
     self.httpRequest(
-      {
-        uri: `https://api.steamapis.com/steam/inventory/${userID.getSteamID64()}/${appID}/${contextID}`,
-        qs: {
-          api_key: apiKey,
-          l: language,
-          count: 2000,
-          start_assetid: start,
-        },
-        json: true,
-      },
+      provider.buildRequest(ctx, start),
       function (err, response, body) {
-        if (err) {
-          if (
-            err.message == "HTTP error 404" ||
-            (body && body.error == "Could not retrieve user inventory. Please try again later.")
-          ) {
-            if (retries > 0) {
-              get(inventory, currency, start, retries - 1);
-              return;
-            }
+        var page = err
+          ? provider.classifyError.call(self, err, response, body, ctx)
+          : provider.parsePage(body, response, ctx);
+
+        if (page instanceof Error) {
+          page.provider = provider.name;
+          if (err && response && !page.statusCode) {
+            page.statusCode = response.statusCode;
           }
 
-          if (err.message == "HTTP error 403") {
-            callback(new Error("This profile is private."));
-            return;
-          }
+          self._metrics.recordError(provider.name, page);
 
-          if (body && body.error) {
-            callback(new Error(body.error));
+          if (fetch.retryPolicy.shouldRetry(page, attempt)) {
+            var delay = fetch.retryPolicy.getDelay(attempt, response);
+            self._metrics.recordRetry(provider.name);
+            self.emit("retry", provider.name, attempt, delay, page);
+            setTimeout(get, delay, attempt + 1);
             return;
           }
 
-          callback(err);
+          callback(page);
           return;
         }
 
-        if (body && body.success && body.total_inventory_count === 0) {
-          callback(null, [], [], 0);
-          return;
-        }
+        self._metrics.recordPage(provider.name, page.assets.length);
 
-        if (!body || !body.success || !body.assets || !body.descriptions) {
-          if (body) {
-            callback(new Error(body.error || body.Error || "Malformed response"));
-          } else {
-            callback(new Error("Malformed response"));
-          }
+        var inventory = [];
+        var currency = [];
 
-          return;
-        }
+        page.descriptions.forEach(function (description) {
+          fetch.quickDescriptionLookup[description.classid + "_" + (description.instanceid || "0")] = description;
+        });
 
-        for (var i = 0; i < body.assets.length; i++) {
-          var description = getDescription(body.descriptions, body.assets[i].classid, body.assets[i].instanceid);
+        page.assets.forEach(function (asset) {
+          var description = fetch.quickDescriptionLookup[asset.classid + "_" + (asset.instanceid || "0")];
 
-          if (!tradableOnly || (description && description.tradable)) {
-            body.assets[i].pos = pos++;
-            (body.assets[i].currencyid ? currency : inventory).push(
-              new CEconItem(body.assets[i], description, contextID)
-            );
-          }
-        }
+          var item = new CEconItem(asset, description, ctx.contextID);
 
-        if (body.more_items) {
-          get(inventory, currency, body.last_assetid);
-        } else {
-          callback(null, inventory, currency, body.total_inventory_count);
-        }
+          if (ctx.filter.test(item)) {
+            item.pos = fetch.pos++;
+            (asset.currencyid ? currency : inventory).push(item);
+          }
+        });
+
+        var next = provider.getNextCursor(page);
+
+        callback(
+          null,
+          {
+            inventory: inventory,
+            currency: currency,
+            last_assetid: page.lastAssetID || null,
+            more_items: !!next,
+            total_inventory_count: page.total,
+          },
+          next
+        );
       },
-      "steamcommunity"
+      provider.name
     );
   }
-
-  var quickDescriptionLookup = {};
-
-  function getDescription(descriptions, classID, instanceID) {
-    var key = classID + "_" + (instanceID || "0");
-
-    if (quickDescriptionLookup[key]) {
-      return quickDescriptionLookup[key];
-    }
-
-    for (var i = 0; i < descriptions.length; i++) {
-      quickDescriptionLookup[descriptions[i].classid + "_" + (descriptions[i].instanceid || "0")] = descriptions[i];
-    }
-
-    return quickDescriptionLookup[key];
-  }
-};
+}
 
 /**
- * Get the contents of a user's inventory context.
- * @param {string} apiKey - The steamsupply apikey
+ * Get the contents of a user's inventory context, trying each provider in turn until one answers.
+ * Only errors which another provider might not hit (rate limits, server and network errors, exhausted keys)
+ * move on to the next provider; errors such as a private profile or an invalid API key are reported straight away.
+ * @param {Array<string|object>} providers - Provider names or objects, or `{ provider, apiKey }` entries for providers needing their own key
  * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
- * @param {int} appID - The Steam application ID of the game for which you want an inventory
- * @param {int} contextID - The ID of the "context" within the game you want to retrieve
- * @param {boolean} tradableOnly - true to get only tradable items and currencies
- * @param {string} [language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
- * @param {function} callback
+ * @param {object} options - The same options as getInventory
+ * @param {function} [options.shouldFallback] - Called with (err, providerName) to decide whether to try the next provider
+ * @param {function} [callback] - Called with (err, inventory, currency, total, providerName). Omit to get a Promise which resolves to { inventory, currency, total, provider }
+ * @returns {Promise|undefined}
  */
-SteamInventory.prototype.getUserInventorySteamSupply = function (
-  apiKey,
-  userID,
-  appID,
-  contextID,
-  tradableOnly,
-  language,
-  callback
-) {
-  if (typeof language === "function") {
-    callback = language;
-    language = "english";
-  }
-
-  if (!userID) {
-    callback(new Error("The user's SteamID is invalid or missing."));
-    return;
-  }
-
-  if (!apiKey) {
-    callback(new Error("The apiKey is missing."));
-    return;
-  }
-
-  var self = this;
-
-  if (typeof userID === "string") {
-    userID = new SteamID(userID);
-  }
-
-  var pos = 1;
-  get([], []);
-
-  function get(inventory, currency, start, retries = 5) {
-    self.httpRequest(
-      {
-        uri: `https://steam.supply/API/${apiKey}/loadinventory`,
-        qs: {
-          l: language,
-          steamid: userID.getSteamID64(),
-          appid: appID,
-          contextid: contextID,
-          count: 5000,
-          start_assetid: start,
-        },
-        json: true,
-      },
-      function (err, response, body) {
-        if (err) {
-          if (err.message == "HTTP error 500") {
-            if (retries > 0) {
-              get(inventory, currency, start, retries - 1);
-              return;
-            }
+SteamInventory.prototype.getInventoryWithFallback = function (providers, userID, options, callback) {
+  return Helpers.callbackOrPromise(
+    callback,
+    (callback) => {
+      options = options || {};
+
+      var self = this;
+      var shouldFallback = options.shouldFallback || Helpers.isRetryableError;
+      var i = 0;
+
+      if (!providers || providers.length == 0) {
+        callback(new Error("No inventory providers were given."));
+        return;
+      }
+
+      next();
+
+      function next() {
+        var entry = providers[i++];
+        var providerOptions = Object.assign({}, options);
+
+        if (entry && entry.provider) {
+          if (entry.apiKey) {
+            providerOptions.apiKey = entry.apiKey;
           }
 
-          if (err.message == "HTTP error 403") {
-            if (response.body && response.body.includes("Invalid API key")) {
-              callback(new Error("Invalid API key"));
-              return;
-            }
+          entry = entry.provider;
+        }
+
+        var name = (SteamInventory.getProvider(entry) || {}).name || entry;
 
-            if (response.body && response.body.includes("Inventory Private")) {
-              callback(new Error("This profile is private."));
+        self.getInventory(entry, userID, providerOptions, function (err, inventory, currency, total) {
+          if (err) {
+            if (i < providers.length && shouldFallback(err, name)) {
+              next();
               return;
             }
-          }
 
-          if (response && response.body) {
-            callback(new Error(response.body));
+            callback(err);
             return;
           }
 
-          callback(err);
-          return;
-        }
-
-        if (typeof response.body != "object" || response.body.fake_redirect) {
-          if (retries > 0) {
-            get(inventory, currency, start, retries - 1);
-            return;
-          }
-        }
-
-        if (body && body.success && body.total_inventory_count === 0) {
-          callback(null, [], [], 0);
-          return;
-        }
-
-        if (!body || !body.success || !body.assets || !body.descriptions) {
-          if (body) {
-            callback(new Error(body.error || body.Error || "Malformed response"));
-          } else {
-            callback(new Error("Malformed response"));
-          }
-
-          return;
-        }
-
-        for (var i = 0; i < body.assets.length; i++) {
-          var description = getDescription(body.descriptions, body.assets[i].classid, body.assets[i].instanceid);
-
-          if (!tradableOnly || (description && description.tradable)) {
-            body.assets[i].pos = pos++;
-            (body.assets[i].currencyid ? currency : inventory).push(
-              new CEconItem(body.assets[i], description, contextID)
-            );
-          }
-        }
-
-        if (body.more_items) {
-          get(inventory, currency, body.last_assetid);
-        } else {
-          callback(null, inventory, currency, body.total_inventory_count);
-        }
-      },
-      "steamcommunity"
-    );
-  }
-
-  var quickDescriptionLookup = {};
+          callback(null, inventory, currency, total, name);
+        });
+      }
+    },
+    ["inventory", "currency", "total", "provider"]
+  );
+};
 
-  function getDescription(descriptions, classID, instanceID) {
-    var key = classID + "_" + (instanceID || "0");
+/**
+ * Get the contents of a user's inventory context.
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {object|int} options - An object with `appID`, `contextID`, `tradableOnly` and `language`, or the appID followed by the legacy positional arguments
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getUserInventoryContents = function (userID) {
+  var options = Helpers.parseInventoryArgs(Array.prototype.slice.call(arguments, 1));
+  return this.getInventory("steamcommunity", userID, options, options.callback);
+};
 
-    if (quickDescriptionLookup[key]) {
-      return quickDescriptionLookup[key];
-    }
+/**
+ * Get the contents of a user's inventory context.
+ * @param {string} apiKey - The steam web api key
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {object|int} options - An object with `appID`, `contextID`, `tradableOnly` and `language`, or the appID followed by the legacy positional arguments
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getInventoryItemsWithDescriptions = function (apiKey, userID) {
+  var options = Helpers.parseInventoryArgs(Array.prototype.slice.call(arguments, 2));
+  options.apiKey = apiKey;
+  return this.getInventory("webapi", userID, options, options.callback);
+};
 
-    for (var i = 0; i < descriptions.length; i++) {
-      quickDescriptionLookup[descriptions[i].classid + "_" + (descriptions[i].instanceid || "0")] = descriptions[i];
-    }
+/**
+ * Get the contents of a user's inventory context.
+ * @param {string} apiKey - The steamapis apikey
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {object|int} options - An object with `appID`, `contextID`, `tradableOnly` and `language`, or the appID followed by the legacy positional arguments
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getUserInventorySteamApis = function (apiKey, userID) {
+  var options = Helpers.parseInventoryArgs(Array.prototype.slice.call(arguments, 2));
+  options.apiKey = apiKey;
+  return this.getInventory("steamapis", userID, options, options.callback);
+};
 
-    return quickDescriptionLookup[key];
-  }
+/**
+ * Get the contents of a user's inventory context.
+ * @param {string} apiKey - The steamsupply apikey
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {object|int} options - An object with `appID`, `contextID`, `tradableOnly` and `language`, or the appID followed by the legacy positional arguments
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
+ */
+SteamInventory.prototype.getUserInventorySteamSupply = function (apiKey, userID) {
+  var options = Helpers.parseInventoryArgs(Array.prototype.slice.call(arguments, 2));
+  options.apiKey = apiKey;
+  return this.getInventory("steamsupply", userID, options, options.callback);
 };
 
 /**
  * Get the contents of a user's inventory context.
  * @param {string} apiKey - The rapid service apikey
  * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
- * @param {int} appID - The Steam application ID of the game for which you want an inventory
- * @param {int} contextID - The ID of the "context" within the game you want to retrieve
- * @param {boolean} tradableOnly - true to get only tradable items and currencies
- * @param {string} [language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
- * @param {function} callback
+ * @param {object|int} options - An object with `appID`, `contextID`, `tradableOnly` and `language`, or the appID followed by the legacy positional arguments
+ * @param {int} options.appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} options.contextID - The ID of the "context" within the game you want to retrieve
+ * @param {boolean} [options.tradableOnly] - true to get only tradable items and currencies
+ * @param {string} [options.language] - The language of item descriptions to return. Omit for default (which may either be English or your account's chosen language)
+ * @param {function} [callback] - Omit to get a Promise which resolves to { inventory, currency, total }
+ * @returns {Promise|undefined}
  */
-SteamInventory.prototype.getUserInventoryRapid = function (
-  apiKey,
-  userID,
-  appID,
-  contextID,
-  tradableOnly,
-  language,
-  callback
-) {
-  if (typeof language === "function") {
-    callback = language;
-    language = "english";
-  }
-
-  if (!userID) {
-    callback(new Error("The user's SteamID is invalid or missing."));
-    return;
-  }
-
-  if (!apiKey) {
-    callback(new Error("The apiKey is missing."));
-    return;
-  }
-
-  var self = this;
-
-  if (typeof userID === "string") {
-    userID = new SteamID(userID);
-  }
-
-  var pos = 1;
-  get([], []);
-
-  function get(inventory, currency, start, retries = 10) {
-    self.httpRequest(
-      {
-        uri: `https://steamdata1.p.rapidapi.com/inventory/${userID.getSteamID64()}/${appID}/${contextID}`,
-        qs: {
-          l: language,
-          count: 5000,
-          start_assetid: start,
-        },
-        headers: {
-          "X-RapidAPI-Key": apiKey,
-          "X-RapidAPI-Host": "steamdata1.p.rapidapi.com",
-        },
-        json: true,
-      },
-      function (err, response, body) {
-        if (err) {
-          if (
-            (response.statusCode == 429 && body == null) ||
-            (response.statusCode == 504 && body && body.info.includes("took too long to respond")) ||
-            (body && body.error == "Could not retrieve user inventory. Please try again later.")
-          ) {
-            if (retries > 0) {
-              get(inventory, currency, start, retries - 1);
-              return;
-            }
-          }
-
-          if (body && body.message == "Forbidden") {
-            callback(new Error("Forbidden"));
-            return;
-          }
-
-          if (err.message == "HTTP error 403") {
-            callback(new Error("This profile is private."));
-            return;
-          }
-
-          if (body && body.error) {
-            callback(new Error(body.error || body));
-            return;
-          }
-
-          callback(err);
-          return;
-        }
-
-        if (body && body.success && body.total_inventory_count === 0) {
-          callback(null, [], [], 0);
-          return;
-        }
-
-        if (!body || !body.success || !body.assets || !body.descriptions) {
-          if (body) {
-            callback(new Error(body.error || body.Error || "Malformed response"));
-          } else {
-            callback(new Error("Malformed response"));
-          }
-
-          return;
-        }
-
-        for (var i = 0; i < body.assets.length; i++) {
-          var description = getDescription(body.descriptions, body.assets[i].classid, body.assets[i].instanceid);
-
-          if (!tradableOnly || (description && description.tradable)) {
-            body.assets[i].pos = pos++;
-            (body.assets[i].currencyid ? currency : inventory).push(
-              new CEconItem(body.assets[i], description, contextID)
-            );
-          }
-        }
-
-        if (body.more_items) {
-          get(inventory, currency, body.last_assetid);
-        } else {
-          callback(null, inventory, currency, body.total_inventory_count);
-        }
-      },
-      "steamcommunity"
-    );
-  }
-
-  var quickDescriptionLookup = {};
-
-  function getDescription(descriptions, classID, instanceID) {
-    var key = classID + "_" + (instanceID || "0");
-
-    if (quickDescriptionLookup[key]) {
-      return quickDescriptionLookup[key];
-    }
-
-    for (var i = 0; i < descriptions.length; i++) {
-      quickDescriptionLookup[descriptions[i].classid + "_" + (descriptions[i].instanceid || "0")] = descriptions[i];
-    }
-
-    return quickDescriptionLookup[key];
-  }
+SteamInventory.prototype.getUserInventoryRapid = function (apiKey, userID) {
+  var options = Helpers.parseInventoryArgs(Array.prototype.slice.call(arguments, 2));
+  options.apiKey = apiKey;
+  return this.getInventory("rapidapi", userID, options, options.callback);
 };
@@ -0,0 +1,82 @@
+const SteamInventory = require("../index.js");
+const Helpers = require("./helpers.js");
+
+var providers = {};
+
+/**
+ * Register an inventory provider which can then be passed by name to getInventory.
+ *
+ * A provider is an object with:
+ * - `name` - A unique name, also used as the httpRequest source
+ * - `requiresApiKey` - true if `options.apiKey` must be set
+ * - `baseURL` - Optional. The scheme and host requests go to, which the `baseURL` option can override
+ * - `buildRequest(ctx, start)` - Returns the httpRequest options for the page starting at `start`
+ * - `parsePage(body, response, ctx)` - Returns `{ assets, descriptions, total, moreItems, lastAssetID }` or an Error
+ * - `getNextCursor(page)` - Optional. Returns the start of the next page, or null if `page` was the last one
+ * - `classifyError(err, response, body, ctx)` - Maps an HTTP error to the Error to report. Called with the SteamInventory as `this`
+ *
+ * Errors which parsePage or classifyError flag `retryable` are retried by the instance's retry policy, on top of
+ * the status codes and network errors the policy retries on its own.
+ *
+ * `ctx` holds `steamID`, `appID`, `contextID`, `language`, `apiKey`, `tradableOnly` and `baseURL`.
+ * @param {object} provider
+ */
+SteamInventory.registerProvider = function (provider) {
+  provider = SteamInventory._normalizeProvider(provider);
+  providers[provider.name] = provider;
+};
+
+/**
+ * Check that a provider object has a name and the required methods, and fill in the optional ones.
+ * Used for registered providers and for provider objects passed to the getters directly.
+ * @param {object} provider
+ * @returns {object} A copy with the defaults applied
+ */
+SteamInventory._normalizeProvider = function (provider) {
+  if (!provider || !provider.name) {
+    throw new Error("The provider name is missing.");
+  }
+
+  ["buildRequest", "parsePage", "classifyError"].forEach(function (method) {
+    if (typeof provider[method] !== "function") {
+      throw new Error("The provider " + provider.name + " has no " + method + " function.");
+    }
+  });
+
+  return Object.assign({ getNextCursor: Helpers.getNextInventoryCursor }, provider);
+};
+
+/**
+ * Get a registered inventory provider.
+ * @param {string|object} provider - A provider name, or a provider object which is returned as is
+ * @returns {object|null}
+ */
+SteamInventory.getProvider = function (provider) {
+  if (provider && typeof provider === "object") {
+    return provider;
+  }
+
+  return providers[provider] || null;
+};
+
+/**
+ * Get the base URL to send a provider's requests to: the one the `baseURL` option sets for it (or for every
+ * provider), or else the provider's own.
+ * @param {object} provider
+ * @returns {string|undefined}
+ */
+SteamInventory.prototype._getBaseURL = function (provider) {
+  var baseURL = this._options.baseURL;
+
+  if (typeof baseURL === "string") {
+    return baseURL.replace(/\/$/, "");
+  }
+
+  return ((baseURL && baseURL[provider.name]) || provider.baseURL || "").replace(/\/$/, "") || undefined;
+};
+
+SteamInventory.registerProvider(require("../providers/steamcommunity.js"));
+SteamInventory.registerProvider(require("../providers/webapi.js"));
+SteamInventory.registerProvider(require("../providers/steamapis.js"));
+SteamInventory.registerProvider(require("../providers/steamsupply.js"));
+SteamInventory.registerProvider(require("../providers/rapidapi.js"));
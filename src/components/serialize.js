@@ -0,0 +1,132 @@
+const SteamInventory = require("../index.js");
+const CEconItem = require("../classes/CEconItem.js");
+
+const SNAPSHOT_VERSION = 1;
+
+// Properties which belong to the asset rather than to its description
+const ASSET_FIELDS = [
+  "id",
+  "assetid",
+  "currencyid",
+  "classid",
+  "instanceid",
+  "amount",
+  "contextid",
+  "pos",
+  "is_currency",
+];
+
+/**
+ * Serialize an inventory into a compact snapshot, which stores each description once rather than on every asset.
+ *
+ * Descriptions are keyed by classid_instanceid, like the lookup map used when fetching. If an asset's copy of a
+ * description differs from the shared one (e.g. a per-asset trade hold date), the differing properties are kept on
+ * the asset, as are the names of shared properties the asset lacks.
+ * @param {CEconItem[]} inventory
+ * @param {CEconItem[]} [currency]
+ * @param {object} [metadata]
+ * @param {string|object} [metadata.provider] - The provider (or its name) the inventory was fetched from
+ * @param {SteamID|string} [metadata.steamID]
+ * @param {int} [metadata.appID]
+ * @param {int} [metadata.contextID]
+ * @param {int} [metadata.total]
+ * @returns {object} A plain object which can be passed to JSON.stringify
+ */
+SteamInventory.serializeInventory = function (inventory, currency, metadata) {
+  metadata = metadata || {};
+
+  var descriptions = {};
+  var serializeItem = function (item) {
+    var key = item.classid + "_" + (item.instanceid || "0");
+    var description = descriptions[key];
+    var asset = {};
+    var thing;
+
+    if (!description) {
+      description = descriptions[key] = {};
+
+      for (thing in item) {
+        if (item.hasOwnProperty(thing) && ASSET_FIELDS.indexOf(thing) == -1) {
+          description[thing] = item[thing];
+        }
+      }
+    }
+
+    for (thing in item) {
+      if (!item.hasOwnProperty(thing)) {
+        continue;
+      }
+
+      if (ASSET_FIELDS.indexOf(thing) != -1 || JSON.stringify(item[thing]) !== JSON.stringify(description[thing])) {
+        asset[thing] = item[thing];
+      }
+    }
+
+    for (thing in description) {
+      if (!item.hasOwnProperty(thing)) {
+        (asset._omitted = asset._omitted || []).push(thing);
+      }
+    }
+
+    return asset;
+  };
+
+  var provider = metadata.provider;
+  var steamID = metadata.steamID;
+
+  return {
+    version: SNAPSHOT_VERSION,
+    provider: provider ? (typeof provider === "string" ? provider : provider.name) : null,
+    steamid: steamID ? (typeof steamID === "string" ? steamID : steamID.getSteamID64()) : null,
+    appid: metadata.appID || null,
+    contextid: metadata.contextID ? metadata.contextID.toString() : null,
+    total: typeof metadata.total === "number" ? metadata.total : (inventory || []).length,
+    serializedAt: new Date().toISOString(),
+    assets: (inventory || []).map(serializeItem),
+    currency: (currency || []).map(serializeItem),
+    descriptions: descriptions,
+  };
+};
+
+/**
+ * Rebuild an inventory from a snapshot made by serializeInventory.
+ * @param {object|string} snapshot - The snapshot, or its JSON
+ * @returns {{inventory: CEconItem[], currency: CEconItem[], total: int, provider: string|null, steamid: string|null}}
+ *   Along with the snapshot's appid, contextid and serializedAt
+ */
+SteamInventory.deserializeInventory = function (snapshot) {
+  if (typeof snapshot === "string") {
+    snapshot = JSON.parse(snapshot);
+  }
+
+  if (!snapshot || !snapshot.version || !snapshot.assets || !snapshot.descriptions) {
+    throw new Error("Not an inventory snapshot");
+  }
+
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error("Unsupported inventory snapshot version " + snapshot.version);
+  }
+
+  var deserializeItem = function (asset) {
+    var description = snapshot.descriptions[asset.classid + "_" + (asset.instanceid || "0")];
+    var item = CEconItem.revive(Object.assign({}, description, asset));
+
+    (asset._omitted || []).forEach(function (thing) {
+      delete item[thing];
+    });
+
+    delete item._omitted;
+    return item;
+  };
+
+  return {
+    inventory: snapshot.assets.map(deserializeItem),
+    currency: (snapshot.currency || []).map(deserializeItem),
+    total: snapshot.total,
+    provider: snapshot.provider,
+    steamid: snapshot.steamid,
+    appid: snapshot.appid,
+    contextid: snapshot.contextid,
+    serializedAt: snapshot.serializedAt,
+  };
+};
@@ -0,0 +1,131 @@
+const SteamInventory = require("../index.js");
+
+/**
+ * Collapse an inventory into groups of identical items, e.g. for valuations and dashboards.
+ *
+ * Each group carries its total amount and assetids, split into tradable items, non-tradable items and items on trade
+ * hold (by hold date), along with the earliest cache_expiration and a representative description.
+ * @param {CEconItem[]|{inventory: CEconItem[], currency: CEconItem[]}} items - Items, or an inventory getter's result
+ * @param {object} [options]
+ * @param {string} [options.groupBy="name"] - "name" (market_hash_name), "classid" or "tag:<category>". Items
+ *   without a tag in the category are grouped under a null key.
+ * @returns {{groups: object[], currency: object[]}} Currencies are always grouped by name, separately from items
+ */
+SteamInventory.summarizeInventory = function (items, options) {
+  options = options || {};
+
+  var groupBy = options.groupBy || "name";
+  var inventory;
+  var currency;
+
+  if (Array.isArray(items)) {
+    inventory = items.filter(function (item) {
+      return !item.is_currency;
+    });
+    currency = items.filter(function (item) {
+      return item.is_currency;
+    });
+  } else {
+    inventory = (items && items.inventory) || [];
+    currency = (items && items.currency) || [];
+  }
+
+  if (groupBy != "name" && groupBy != "classid" && groupBy.indexOf("tag:") != 0) {
+    throw new Error("Unknown groupBy " + groupBy);
+  }
+
+  return {
+    groups: groupItems(inventory, groupBy),
+    currency: groupItems(currency, "name"),
+  };
+};
+
+function groupItems(items, groupBy) {
+  var groups = {};
+  var result = [];
+  var now = Date.now();
+
+  items.forEach(function (item) {
+    var key = getGroupKey(item, groupBy);
+    var group = groups[key];
+
+    if (!group) {
+      group = groups[key] = {
+        key: key,
+        amount: 0,
+        assetids: [],
+        tradable: { amount: 0, assetids: [] },
+        nonTradable: { amount: 0, assetids: [] },
+        tradeHolds: [],
+        earliestCacheExpiration: null,
+        description: {
+          appid: item.appid,
+          classid: item.classid,
+          instanceid: item.instanceid,
+          name: item.name,
+          market_hash_name: item.market_hash_name,
+          type: item.type,
+          icon_url: item.icon_url,
+          name_color: item.name_color,
+        },
+      };
+
+      result.push(group);
+    }
+
+    var id = item.assetid || item.currencyid || item.id;
+    var amount = item.amount || 0;
+
+    group.amount += amount;
+    group.assetids.push(id);
+
+    if (item.cache_expiration) {
+      if (!group.earliestCacheExpiration || new Date(item.cache_expiration) < new Date(group.earliestCacheExpiration)) {
+        group.earliestCacheExpiration = item.cache_expiration;
+      }
+    }
+
+    if (item.tradable) {
+      addTo(group.tradable, id, amount);
+    } else if (item.cache_expiration && new Date(item.cache_expiration).getTime() > now) {
+      var hold = group.tradeHolds.find(function (hold) {
+        return hold.until == item.cache_expiration;
+      });
+
+      if (!hold) {
+        hold = { until: item.cache_expiration, amount: 0, assetids: [] };
+        group.tradeHolds.push(hold);
+      }
+
+      addTo(hold, id, amount);
+    } else {
+      addTo(group.nonTradable, id, amount);
+    }
+  });
+
+  result.forEach(function (group) {
+    group.tradeHolds.sort(function (a, b) {
+      return new Date(a.until) - new Date(b.until);
+    });
+  });
+
+  return result;
+}
+
+function getGroupKey(item, groupBy) {
+  if (groupBy == "classid") {
+    return item.classid;
+  }
+
+  if (groupBy == "name") {
+    return item.market_hash_name || item.name || item.classid;
+  }
+
+  var tag = item.getTag ? item.getTag(groupBy.substring(4)) : null;
+  return tag ? tag.name : null;
+}
+
+function addTo(bucket, id, amount) {
+  bucket.amount += amount;
+  bucket.assetids.push(id);
+}
@@ -0,0 +1,18 @@
+const SteamInventory = require("../index.js");
+const InventoryWatcher = require("../classes/InventoryWatcher.js");
+
+SteamInventory.InventoryWatcher = InventoryWatcher;
+
+/**
+ * Poll a user's inventory context and emit events as items are added, removed or changed.
+ * @param {SteamID|string} userID - The user's SteamID as a SteamID object or a string which can parse into one
+ * @param {int} appID - The Steam application ID of the game for which you want an inventory
+ * @param {int} contextID - The ID of the "context" within the game you want to retrieve
+ * @param {object} [options] - The same options as getInventory, plus:
+ * @param {string|object} [options.provider="steamcommunity"] - The provider to poll
+ * @param {int} [options.interval=60000] - Milliseconds between the end of one poll and the start of the next
+ * @returns {InventoryWatcher}
+ */
+SteamInventory.prototype.watchInventory = function (userID, appID, contextID, options) {
+  return new InventoryWatcher(this, userID, Object.assign({}, options, { appID: appID, contextID: contextID }));
+};
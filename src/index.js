@@ -1,5 +1,16 @@
-const Request = require("request");
 const SteamID = require("steamid");
+const RateLimiter = require("./classes/RateLimiter.js");
+const RetryPolicy = require("./classes/RetryPolicy.js");
+const InventoryCache = require("./classes/InventoryCache.js");
+const EndpointPool = require("./classes/EndpointPool.js");
+const InventoryMetrics = require("./classes/InventoryMetrics.js");
+const CEconItem = require("./classes/CEconItem.js");
+const CookieJar = require("./classes/CookieJar.js");
+const NativeTransport = require("./transports/NativeTransport.js");
+const RequestTransport = require("./transports/RequestTransport.js");
+const RecordingTransport = require("./transports/RecordingTransport.js");
+const ReplayTransport = require("./transports/ReplayTransport.js");
+const Errors = require("./classes/errors.js");
 
 const USER_AGENT =
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/67.0.3396.99 Safari/537.36";
@@ -8,21 +19,32 @@ require("util").inherits(SteamInventory, require("events").EventEmitter);
 
 module.exports = SteamInventory;
 
+SteamInventory.CEconItem = CEconItem;
+SteamInventory.InventoryQuery = require("./classes/InventoryQuery.js");
+SteamInventory.EndpointPool = EndpointPool;
+SteamInventory.InventoryMetrics = InventoryMetrics;
+SteamInventory.CookieJar = CookieJar;
+SteamInventory.NativeTransport = NativeTransport;
+SteamInventory.RequestTransport = RequestTransport;
+SteamInventory.RecordingTransport = RecordingTransport;
+SteamInventory.ReplayTransport = ReplayTransport;
+SteamInventory.FakeSteamServer = require("./classes/FakeSteamServer.js");
+SteamInventory.SteamInventoryError = Errors.SteamInventoryError;
+SteamInventory.PrivateProfileError = Errors.PrivateProfileError;
+SteamInventory.InvalidApiKeyError = Errors.InvalidApiKeyError;
+SteamInventory.RateLimitedError = Errors.RateLimitedError;
+SteamInventory.MalformedResponseError = Errors.MalformedResponseError;
+SteamInventory.SessionExpiredError = Errors.SessionExpiredError;
+SteamInventory.ProviderUnavailableError = Errors.ProviderUnavailableError;
+SteamInventory.FixtureNotFoundError = Errors.FixtureNotFoundError;
+
 function SteamInventory(options) {
   options = options || {};
 
   this.SteamID = SteamID;
-  this._jar = Request.jar();
+  this._jar = new CookieJar();
   this._httpRequestID = 0;
-
-  var defaults = {
-    jar: this._jar,
-    timeout: options.timeout || 50000,
-    gzip: true,
-    headers: {
-      "User-Agent": options.userAgent || USER_AGENT,
-    },
-  };
+  this._middleware = [];
 
   if (typeof options == "string") {
     options = {
@@ -30,25 +52,54 @@ function SteamInventory(options) {
     };
   }
   this._options = options;
+  this._timeout = options.timeout || 50000;
+  this._userAgent = options.userAgent || USER_AGENT;
+  this._rateLimiter = new RateLimiter(options.rateLimit);
+  this._retryPolicy = new RetryPolicy(options.retry);
+  this._inventoryCache = options.cache ? new InventoryCache(options.cache === true ? {} : options.cache) : null;
+  this._endpointPool = null;
+  this._metrics =
+    options.metrics instanceof InventoryMetrics ? options.metrics : new InventoryMetrics(options.metrics || {});
 
-  if (options.localAddress) {
-    defaults.localAddress = options.localAddress;
+  if (options.endpointPool) {
+    this._endpointPool =
+      options.endpointPool instanceof EndpointPool ? options.endpointPool : new EndpointPool(options.endpointPool);
+    this._endpointPool.on("evicted", (endpoint, err) => this.emit("endpointEvicted", endpoint, err));
+    this._endpointPool.on("restored", (endpoint) => this.emit("endpointRestored", endpoint));
   }
 
-  this.request = options.request || Request.defaults({ forever: true });
-  this.request = this.request.defaults(defaults);
+  if (options.transport && typeof options.transport === "object") {
+    this.transport = options.transport;
+  } else if (options.transport == "request" || options.request) {
+    this.transport = new RequestTransport({ request: options.request });
+  } else {
+    this.transport = new NativeTransport();
+  }
 
-  this._setCookie(Request.cookie("Steam_Language=english"));
-  this._setCookie(Request.cookie("timezoneOffset=0,0"));
+  if (options.fixtures && options.fixtures.mode == "record") {
+    this.transport = new RecordingTransport(Object.assign({}, options.fixtures, { transport: this.transport }));
+  } else if (options.fixtures && options.fixtures.mode == "replay") {
+    this.transport = new ReplayTransport(options.fixtures);
+  } else if (options.fixtures) {
+    throw new Error("Unknown fixtures mode " + options.fixtures.mode);
+  }
+
+  this._setCookie("Steam_Language=english");
+  this._setCookie("timezoneOffset=0,0");
 }
 
 SteamInventory.prototype._setCookie = function (cookie, secure) {
+  if (typeof cookie !== "string") {
+    // A tough-cookie Cookie, as created by request.cookie()
+    cookie = cookie.key + "=" + cookie.value;
+  }
+
   var protocol = secure ? "https" : "http";
-  cookie.secure = !!secure;
+  cookie = cookie.split(";")[0] + "; Path=/" + (secure ? "; Secure" : "");
 
-  this._jar.setCookie(cookie.clone(), protocol + "://steamcommunity.com");
-  this._jar.setCookie(cookie.clone(), protocol + "://store.steampowered.com");
-  this._jar.setCookie(cookie.clone(), protocol + "://help.steampowered.com");
+  this._jar.setCookie(cookie, protocol + "://steamcommunity.com");
+  this._jar.setCookie(cookie, protocol + "://store.steampowered.com");
+  this._jar.setCookie(cookie, protocol + "://help.steampowered.com");
 };
 
 SteamInventory.prototype.setCookies = function(cookies) {
@@ -58,9 +109,19 @@ SteamInventory.prototype.setCookies = function(cookies) {
 			this.steamID = new SteamID(cookie.match(/=(\d+)/)[1]);
 		}
 
-		this._setCookie(Request.cookie(cookie), !!(cookieName.match(/^steamMachineAuth/) || cookieName.match(/Secure$/)));
+		this._setCookie(cookie, !!(cookieName.match(/^steamMachineAuth/) || cookieName.match(/Secure$/)));
 	});
 };
 
 require("./components/http.js");
+require("./components/providers.js");
+require("./components/cache.js");
+require("./components/diff.js");
+require("./components/community.js");
+require("./components/serialize.js");
+require("./components/summary.js");
+require("./components/export.js");
+require("./components/watch.js");
 require("./components/inventory.js");
+require("./components/contexts.js");
+require("./components/bulk.js");
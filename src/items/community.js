@@ -0,0 +1,123 @@
+const APP_ID = 753;
+const CONTEXT_ID = 6;
+
+const ITEM_CLASSES = {
+  item_class_2: "tradingCard",
+  item_class_3: "profileBackground",
+  item_class_4: "emoticon",
+  item_class_5: "boosterPack",
+  item_class_7: "gems",
+};
+
+/**
+ * Classify a Steam Community item by its item_class and cardborder tags.
+ * @param {CEconItem} item
+ * @returns {string|null} "tradingCard", "foilTradingCard", "boosterPack", "profileBackground", "emoticon", "gems",
+ *   "sackOfGems" or "other", or null if the item isn't in the Steam Community inventory
+ */
+exports.getItemKind = function (item) {
+  if (item.appid != APP_ID || item.contextid != CONTEXT_ID) {
+    return null;
+  }
+
+  var itemClass = getTagInternalName(item, "item_class");
+  var kind = ITEM_CLASSES[itemClass] || "other";
+
+  if (kind == "tradingCard" && getTagInternalName(item, "cardborder") == "cardborder_1") {
+    return "foilTradingCard";
+  }
+
+  if (kind == "gems" && /Sack of Gems$/.test(item.market_hash_name || item.name || "")) {
+    return "sackOfGems";
+  }
+
+  return kind;
+};
+
+/**
+ * Group the trading cards among a list of items by the app they belong to, counting the complete badge sets.
+ * Foil cards are grouped separately, as they craft a different badge.
+ *
+ * The inventory doesn't say how many cards make up an app's set, so `sets` is only computed for apps listed in
+ * `setSizes`; for others it's null.
+ * @param {CEconItem[]} items
+ * @param {object} [options]
+ * @param {Object<string, int>} [options.setSizes] - The number of distinct cards in each app's set, keyed by appid
+ * @returns {object[]}
+ */
+exports.getBadgeSets = function (items, options) {
+  options = options || {};
+
+  var setSizes = options.setSizes || {};
+  var groups = {};
+  var result = [];
+
+  (items || []).forEach(function (item) {
+    var kind = exports.getItemKind(item);
+    if ((kind != "tradingCard" && kind != "foilTradingCard") || !item.market_fee_app) {
+      return;
+    }
+
+    var foil = kind == "foilTradingCard";
+    var groupKey = item.market_fee_app + (foil ? "_foil" : "");
+    var group = groups[groupKey];
+
+    if (!group) {
+      group = groups[groupKey] = {
+        appid: item.market_fee_app,
+        foil: foil,
+        cards: {},
+      };
+
+      result.push(group);
+    }
+
+    var card = group.cards[item.market_hash_name];
+    if (!card) {
+      card = group.cards[item.market_hash_name] = {
+        market_hash_name: item.market_hash_name,
+        name: item.name,
+        amount: 0,
+        assetids: [],
+      };
+    }
+
+    card.amount += item.amount || 1;
+    card.assetids.push(item.assetid || item.id);
+  });
+
+  return result.map(function (group) {
+    var cards = Object.keys(group.cards).map(function (name) {
+      return group.cards[name];
+    });
+
+    var setSize = setSizes[group.appid] || null;
+    var sets = null;
+
+    if (setSize) {
+      sets =
+        cards.length < setSize
+          ? 0
+          : Math.min.apply(
+              null,
+              cards.map(function (card) {
+                return card.amount;
+              })
+            );
+    }
+
+    return {
+      appid: group.appid,
+      foil: group.foil,
+      cards: cards,
+      distinctCards: cards.length,
+      setSize: setSize,
+      sets: sets,
+    };
+  });
+};
+
+function getTagInternalName(item, category) {
+  var tag = item.getTag ? item.getTag(category) : null;
+  return tag ? tag.internal_name : null;
+}
@@ -0,0 +1,108 @@
+const APP_ID = 730;
+
+/**
+ * Build an item's "Inspect in Game" link from its actions.
+ * @param {CEconItem} item
+ * @param {SteamID|string} [ownerSteamID] - The SteamID of the inventory the item is in. Needed for items in inventories, not for market listings.
+ * @returns {string|null}
+ */
+exports.getInspectLink = function (item, ownerSteamID) {
+  var action = (item.actions || []).find(function (action) {
+    return action.link && action.link.indexOf("+csgo_econ_action_preview") != -1;
+  });
+
+  if (!action) {
+    return null;
+  }
+
+  var link = action.link.replace(/%assetid%/g, item.assetid || item.id);
+
+  if (link.indexOf("%owner_steamid%") != -1) {
+    if (!ownerSteamID) {
+      return null;
+    }
+
+    link = link.replace(
+      /%owner_steamid%/g,
+      typeof ownerSteamID === "string" ? ownerSteamID : ownerSteamID.getSteamID64()
+    );
+  }
+
+  return link;
+};
+
+/**
+ * Extract the CS2 specific details of an item from its tags, descriptions and actions.
+ * @param {CEconItem} item
+ * @param {SteamID|string} [ownerSteamID] - The SteamID of the inventory the item is in, used for the inspect link
+ * @returns {object|null} null if the item isn't a CS2 item
+ */
+exports.getDetails = function (item, ownerSteamID) {
+  if (item.appid != APP_ID) {
+    return null;
+  }
+
+  var quality = getTag(item, "Quality");
+  var rarity = getTag(item, "Rarity");
+  var name = item.market_hash_name || item.name || "";
+
+  return {
+    inspectLink: exports.getInspectLink(item, ownerSteamID),
+    exterior: getTagName(item, "Exterior"),
+    rarity: rarity ? rarity.name : null,
+    rarityColor: rarity && rarity.color ? rarity.color : null,
+    quality: quality ? quality.name : null,
+    statTrak: (quality && quality.internal_name == "strange") || name.indexOf("StatTrak™") != -1,
+    souvenir: (quality && quality.internal_name == "tournament") || name.indexOf("Souvenir ") == 0,
+    type: getTagName(item, "Type"),
+    weapon: getTagName(item, "Weapon"),
+    stickers: getAttachments(item, "Sticker"),
+    patches: getAttachments(item, "Patch"),
+    charms: getAttachments(item, "Charm"),
+    nameTag: getNameTag(item),
+  };
+};
+
+function getTag(item, category) {
+  return item.getTag ? item.getTag(category) : null;
+}
+
+function getTagName(item, category) {
+  var tag = getTag(item, category);
+  return tag ? tag.name : null;
+}
+
+// Stickers, patches and charms are listed in an HTML description such as
+// <br><img ...><br>Sticker: Name One, Name Two</center>
+function getAttachments(item, kind) {
+  var pattern = new RegExp("<br>" + kind + "s?: ([^<]+)");
+
+  for (var i = 0; i < item.descriptions.length; i++) {
+    var match = (item.descriptions[i].value || "").match(pattern);
+    if (match) {
+      return match[1]
+        .split(", ")
+        .map(function (name) {
+          return name.trim();
+        })
+        .filter(Boolean);
+    }
+  }
+
+  return [];
+}
+
+// The name tag is listed either in the descriptions or as a fraud warning (a plain string)
+function getNameTag(item) {
+  var lines = (item.descriptions || []).concat(item.fraudwarnings || []);
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = typeof lines[i] === "string" ? lines[i] : lines[i].value;
+    var match = (line || "").match(/^Name Tag: ''(.+)''$/);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
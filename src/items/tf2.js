@@ -0,0 +1,304 @@
+const APP_ID = 440;
+
+const QUALITIES = {
+  Normal: 0,
+  Genuine: 1,
+  Vintage: 3,
+  Unusual: 5,
+  Unique: 6,
+  Community: 7,
+  Valve: 8,
+  "Self-Made": 9,
+  Customized: 10,
+  Strange: 11,
+  Completed: 12,
+  Haunted: 13,
+  "Collector's": 14,
+  "Decorated Weapon": 15,
+};
+
+const WEARS = {
+  "Factory New": 1,
+  "Minimal Wear": 2,
+  "Field-Tested": 3,
+  "Well-Worn": 4,
+  "Battle Scarred": 5,
+};
+
+const KILLSTREAKS = {
+  "Professional Killstreak": 3,
+  "Specialized Killstreak": 2,
+  Killstreak: 1,
+};
+
+const EFFECTS = {
+  "Community Sparkle": 4,
+  "Holy Glow": 5,
+  "Green Confetti": 6,
+  "Purple Confetti": 7,
+  "Haunted Ghosts": 8,
+  "Green Energy": 9,
+  "Purple Energy": 10,
+  "Circling TF Logo": 11,
+  "Massed Flies": 12,
+  "Burning Flames": 13,
+  "Scorching Flames": 14,
+  "Searing Plasma": 15,
+  "Vivid Plasma": 16,
+  Sunbeams: 17,
+  "Circling Peace Sign": 18,
+  "Circling Heart": 19,
+  "Stormy Storm": 29,
+  "Blizzardy Storm": 30,
+  "Nuts n' Bolts": 31,
+  "Orbiting Planets": 32,
+  "Orbiting Fire": 33,
+  Bubbling: 34,
+  Smoking: 35,
+  Steaming: 36,
+  "Flaming Lantern": 37,
+  "Cloudy Moon": 38,
+  "Cauldron Bubbles": 39,
+  "Eerie Orbiting Fire": 40,
+  Knifestorm: 43,
+  "Misty Skull": 44,
+  "Harvest Moon": 45,
+  "It's A Secret To Everybody": 46,
+  "Stormy 13th Hour": 47,
+  "Kill-a-Watt": 56,
+  "Terror-Watt": 57,
+  "Cloud 9": 58,
+  "Aces High": 59,
+  "Dead Presidents": 60,
+  "Miami Nights": 61,
+  "Disco Beat Down": 62,
+  Phosphorous: 63,
+  Sulphurous: 64,
+  "Memory Leak": 65,
+  Overclocked: 66,
+  Electrostatic: 67,
+  "Power Surge": 68,
+  "Anti-Freeze": 69,
+  "Time Warp": 70,
+  "Green Black Hole": 71,
+  Roboactive: 72,
+  Arcana: 73,
+  Spellbound: 74,
+  "Chiroptera Venenata": 75,
+  "Poisoned Shadows": 76,
+  "Something Burning This Way Comes": 77,
+  Hellfire: 78,
+  Darkblaze: 79,
+  Demonflame: 80,
+  "Bonzo The All-Gnawing": 81,
+  Amaranthine: 82,
+  "Stare From Beyond": 83,
+  "The Ooze": 84,
+  "Ghastly Ghosts Jr": 85,
+  "Haunted Phantasm Jr": 86,
+  Frostbite: 87,
+  "Molten Mallard": 88,
+  "Morning Glory": 89,
+  "Death at Dusk": 90,
+  Abduction: 91,
+  Atomic: 92,
+  Subatomic: 93,
+  "Electric Hat Protector": 94,
+  "Magnetic Hat Protector": 95,
+  "Voltaic Hat Protector": 96,
+  "Galactic Codex": 97,
+  "Ancient Codex": 98,
+  Nebula: 99,
+  "Death by Disco": 100,
+  "It's a mystery to everyone": 101,
+  "It's a puzzle to me": 102,
+  "Ether Trail": 103,
+  "Nether Trail": 104,
+  "Ancient Eldritch": 105,
+  "Eldritch Flame": 106,
+  "Neutron Star": 107,
+  "Tesla Coil": 108,
+  "Starstorm Insomnia": 109,
+  "Starstorm Slumber": 110,
+  Hot: 701,
+  Isotope: 702,
+  Cool: 703,
+  "Energy Orb": 704,
+};
+
+// Paint colors as shown in the item's description, keyed to their (RED team) color
+const PAINTS = {
+  "Indubitably Green": "729E42",
+  "Zepheniah's Greed": "424F3B",
+  "Noble Hatter's Violet": "51384A",
+  "Color No. 216-190-216": "D8BED8",
+  "A Deep Commitment to Purple": "7D4071",
+  "Mann Co. Orange": "CF7336",
+  Muskelmannbraun: "A57545",
+  "Peculiarly Drab Tincture": "C5AF91",
+  "Radigan Conagher Brown": "694D3A",
+  "Ye Olde Rustic Colour": "7C6C57",
+  "Australium Gold": "E7B53B",
+  "Aged Moustache Grey": "7E7E7E",
+  "An Extraordinary Abundance of Tinge": "E6E6E6",
+  "A Distinctive Lack of Hue": "141414",
+  "Pink as Hell": "FF69B4",
+  "A Color Similar to Slate": "2F4F4F",
+  "Drably Olive": "808000",
+  "The Bitter Taste of Defeat and Lime": "32CD32",
+  "The Color of a Gentlemann's Business Pants": "F0E68C",
+  "Dark Salmon Injustice": "E9967A",
+  "Team Spirit": "B8383B",
+  "Operator's Overalls": "483838",
+  "Waterlogged Lab Coat": "A89A8C",
+  "Balaclavas Are Forever": "3B1F23",
+  "An Air of Debonair": "654740",
+  "The Value of Teamwork": "803020",
+  "Cream Spirit": "C36C2D",
+  "A Mann's Mint": "BCDDB3",
+  "After Eight": "2D2D24",
+};
+
+/**
+ * Parse the TF2 attributes of an item from its descriptions, tags, actions and market_hash_name.
+ * @param {CEconItem} item
+ * @returns {object|null} null if the item isn't a TF2 item
+ */
+exports.getAttributes = function (item) {
+  if (item.appid != APP_ID) {
+    return null;
+  }
+
+  var name = item.market_hash_name || item.name || "";
+  var qualityName = getTagName(item, "Quality");
+  var quality = typeof QUALITIES[qualityName] === "number" ? QUALITIES[qualityName] : null;
+  var effectName = findDescription(item, /^★ Unusual Effect: (.+)$/);
+  var paintName = findDescription(item, /^Paint Color: (.+)$/);
+  var killstreak = 0;
+
+  for (var tier in KILLSTREAKS) {
+    if (name.indexOf(tier + " ") != -1) {
+      killstreak = KILLSTREAKS[tier];
+      break;
+    }
+  }
+
+  var crateSeries = findDescription(item, /^Crate Series #(\d+)$/);
+  var strangeParts = item.descriptions
+    .map(function (description) {
+      var match = (description.value || "").trim().match(/^\(([^:]+): [\d,]+\)$/);
+      return match ? match[1] : null;
+    })
+    .filter(Boolean);
+
+  // Strange items carry a counter in their type line, e.g. "Strange Hat - Points Scored: 0", whatever their name is.
+  // Going by the name would also catch Unique items such as "Strange Part: Kills" or "Strange Bacon Grease".
+  var hasStrangeCounter = /^.+ - [^:]+: [\d,]+$/.test(item.type || "") || strangeParts.length > 0;
+
+  return {
+    defindex: getDefindex(item),
+    quality: quality,
+    qualityName: qualityName,
+    elevatedStrange: quality !== 11 && hasStrangeCounter,
+    // Also "( Not Tradable, Marketable, or Usable in Crafting )" and the like
+    craftable: !findDescription(item, /^\( Not [^)]*Usable in Crafting[^)]*\)$/),
+    killstreak: killstreak,
+    sheen: findDescription(item, /^Sheen: (.+)$/),
+    killstreaker: findDescription(item, /^Killstreaker: (.+)$/),
+    australium: /(^|\s)Australium (?!Gold)/.test(name),
+    festivized: /(^|\s)Festivized /.test(name),
+    effect: effectName ? EFFECTS[effectName] || null : null,
+    effectName: effectName,
+    paint: paintName && PAINTS[paintName] ? parseInt(PAINTS[paintName], 16) : null,
+    paintName: paintName,
+    strangeParts: strangeParts,
+    wear: WEARS[getTagName(item, "Exterior")] || null,
+    crateSeries: crateSeries ? parseInt(crateSeries, 10) : null,
+  };
+};
+
+/**
+ * Build an item's SKU (as used by most TF2 trading tools, e.g. `5021;6` or `30743;5;u13;strange`).
+ * @param {CEconItem} item
+ * @returns {string|null} null if the item isn't a TF2 item or its defindex or quality can't be determined
+ */
+exports.getSKU = function (item) {
+  var attributes = exports.getAttributes(item);
+  if (!attributes || attributes.defindex === null || attributes.quality === null) {
+    return null;
+  }
+
+  var sku = attributes.defindex + ";" + attributes.quality;
+
+  if (attributes.effect) {
+    sku += ";u" + attributes.effect;
+  }
+
+  if (attributes.australium) {
+    sku += ";australium";
+  }
+
+  if (!attributes.craftable) {
+    sku += ";uncraftable";
+  }
+
+  if (attributes.wear) {
+    sku += ";w" + attributes.wear;
+  }
+
+  if (attributes.elevatedStrange) {
+    sku += ";strange";
+  }
+
+  if (attributes.killstreak) {
+    sku += ";kt-" + attributes.killstreak;
+  }
+
+  if (attributes.festivized) {
+    sku += ";festive";
+  }
+
+  if (attributes.crateSeries) {
+    sku += ";c" + attributes.crateSeries;
+  }
+
+  if (attributes.paint) {
+    sku += ";p" + attributes.paint;
+  }
+
+  return sku;
+};
+
+// The "Item Wiki Page..." action links to itemredirect.php?id=<defindex>
+function getDefindex(item) {
+  var actions = item.actions || [];
+
+  for (var i = 0; i < actions.length; i++) {
+    var match = (actions[i].link || "").match(/itemredirect\.php\?id=(\d+)/);
+    if (match) {
+      return parseInt(match[1], 10);
+    }
+  }
+
+  if (item.app_data && item.app_data.def_index) {
+    return parseInt(item.app_data.def_index, 10);
+  }
+
+  return null;
+}
+
+function getTagName(item, category) {
+  var tag = item.getTag ? item.getTag(category) : null;
+  return tag ? tag.name : null;
+}
+
+function findDescription(item, pattern) {
+  for (var i = 0; i < item.descriptions.length; i++) {
+    var match = (item.descriptions[i].value || "").trim().match(pattern);
+    if (match) {
+      return match[1] || match[0];
+    }
+  }
+
+  return null;
+}
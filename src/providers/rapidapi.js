@@ -0,0 +1,51 @@
+const Helpers = require("../components/helpers.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * The steamdata1 inventory API on RapidAPI.
+ */
+module.exports = {
+  name: "rapidapi",
+  requiresApiKey: true,
+  baseURL: "https://steamdata1.p.rapidapi.com",
+
+  buildRequest: function (ctx, start) {
+    return {
+      uri: `${ctx.baseURL}/inventory/${ctx.steamID.getSteamID64()}/${ctx.appID}/${ctx.contextID}`,
+      qs: {
+        l: ctx.language,
+        count: 5000,
+        start_assetid: start,
+      },
+      headers: {
+        "X-RapidAPI-Key": ctx.apiKey,
+        "X-RapidAPI-Host": "steamdata1.p.rapidapi.com",
+      },
+      json: true,
+    };
+  },
+
+  parsePage: function (body) {
+    return Helpers.parseInventoryPage(body);
+  },
+
+  getNextCursor: Helpers.getNextInventoryCursor,
+
+  classifyError: function (err, response, body) {
+    var retryable = !!(
+      (response && response.statusCode == 429 && body == null) ||
+      (response && response.statusCode == 504 && body && body.info && body.info.includes("took too long to respond")) ||
+      (body && body.error == "Could not retrieve user inventory. Please try again later.")
+    );
+
+    if (body && body.message == "Forbidden") {
+      return new Errors.InvalidApiKeyError("Forbidden");
+    }
+
+    if (err.message == "HTTP error 403") {
+      return new Errors.PrivateProfileError("This profile is private.");
+    }
+
+    return Helpers.markRetryable(Errors.fromHttpError(err, response, body && body.error), retryable);
+  },
+};
@@ -0,0 +1,55 @@
+const Helpers = require("../components/helpers.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * The steamapis.com inventory mirror.
+ */
+module.exports = {
+  name: "steamapis",
+  requiresApiKey: true,
+  baseURL: "https://api.steamapis.com",
+
+  buildRequest: function (ctx, start) {
+    return {
+      uri: `${ctx.baseURL}/steam/inventory/${ctx.steamID.getSteamID64()}/${ctx.appID}/${ctx.contextID}`,
+      qs: {
+        api_key: ctx.apiKey,
+        l: ctx.language,
+        count: 2000,
+        start_assetid: start,
+      },
+      json: true,
+    };
+  },
+
+  parsePage: function (body) {
+    return Helpers.parseInventoryPage(body);
+  },
+
+  getNextCursor: Helpers.getNextInventoryCursor,
+
+  classifyError: function (err, response, body) {
+    var retryable =
+      err.message == "HTTP error 404" ||
+      !!(body && body.error == "Could not retrieve user inventory. Please try again later.");
+
+    if (
+      (err.message == "HTTP error 401" || err.message == "HTTP error 403") &&
+      body &&
+      typeof body.error === "string" &&
+      /invalid api key/i.test(body.error)
+    ) {
+      return new Errors.InvalidApiKeyError(body.error);
+    }
+
+    if (err.message == "HTTP error 403") {
+      return Helpers.markRetryable(new Errors.PrivateProfileError("This profile is private."), retryable);
+    }
+
+    if (body && body.error == "Could not retrieve user inventory. Please try again later.") {
+      return Helpers.markRetryable(new Errors.ProviderUnavailableError(body.error), true);
+    }
+
+    return Helpers.markRetryable(Errors.fromHttpError(err, response, body && body.error), retryable);
+  },
+};
@@ -0,0 +1,53 @@
+const Helpers = require("../components/helpers.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * The public steamcommunity.com inventory endpoint.
+ */
+module.exports = {
+  name: "steamcommunity",
+  requiresApiKey: false,
+  baseURL: "https://steamcommunity.com",
+
+  buildRequest: function (ctx, start) {
+    return {
+      uri: ctx.baseURL + "/inventory/" + ctx.steamID.getSteamID64() + "/" + ctx.appID + "/" + ctx.contextID,
+      headers: {
+        Referer: "https://steamcommunity.com/profiles/" + ctx.steamID.getSteamID64() + "/inventory",
+      },
+      qs: {
+        l: ctx.language,
+        count: 2000,
+        start_assetid: start,
+      },
+      json: true,
+    };
+  },
+
+  parsePage: function (body) {
+    return Helpers.parseInventoryPage(body);
+  },
+
+  getNextCursor: Helpers.getNextInventoryCursor,
+
+  classifyError: function (err, response, body, ctx) {
+    if (err.message == "HTTP error 403" && body === null) {
+      if (this.steamID && ctx.steamID.getSteamID64() == this.steamID.getSteamID64()) {
+        this._notifySessionExpired(err);
+      }
+
+      return new Errors.PrivateProfileError("This profile is private.");
+    }
+
+    if (err.message == "HTTP error 500" && body && body.error) {
+      var match = body.error.match(/^(.+) \((\d+)\)$/);
+      if (match) {
+        return new Errors.ProviderUnavailableError(match[1], { eresult: parseInt(match[2], 10) });
+      }
+
+      return new Errors.ProviderUnavailableError(body.error);
+    }
+
+    return Errors.fromHttpError(err, response);
+  },
+};
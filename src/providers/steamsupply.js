@@ -0,0 +1,56 @@
+const Helpers = require("../components/helpers.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * The steam.supply inventory mirror.
+ */
+module.exports = {
+  name: "steamsupply",
+  requiresApiKey: true,
+  baseURL: "https://steam.supply",
+
+  buildRequest: function (ctx, start) {
+    return {
+      uri: `${ctx.baseURL}/API/${ctx.apiKey}/loadinventory`,
+      qs: {
+        l: ctx.language,
+        steamid: ctx.steamID.getSteamID64(),
+        appid: ctx.appID,
+        contextid: ctx.contextID,
+        count: 5000,
+        start_assetid: start,
+      },
+      json: true,
+    };
+  },
+
+  parsePage: function (body) {
+    if (typeof body != "object" || (body && body.fake_redirect)) {
+      return Helpers.markRetryable(
+        new Errors.MalformedResponseError((body && (body.error || body.Error)) || "Malformed response"),
+        true
+      );
+    }
+
+    return Helpers.parseInventoryPage(body);
+  },
+
+  getNextCursor: Helpers.getNextInventoryCursor,
+
+  classifyError: function (err, response) {
+    var retryable = err.message == "HTTP error 500";
+    var text = response && typeof response.body === "string" ? response.body : "";
+
+    if (err.message == "HTTP error 403") {
+      if (text.includes("Invalid API key")) {
+        return new Errors.InvalidApiKeyError("Invalid API key");
+      }
+
+      if (text.includes("Inventory Private")) {
+        return new Errors.PrivateProfileError("This profile is private.");
+      }
+    }
+
+    return Helpers.markRetryable(Errors.fromHttpError(err, response, text), retryable);
+  },
+};
@@ -0,0 +1,49 @@
+const Helpers = require("../components/helpers.js");
+const Errors = require("../classes/errors.js");
+
+/**
+ * The IEconService/GetInventoryItemsWithDescriptions Steam Web API method.
+ */
+module.exports = {
+  name: "webapi",
+  requiresApiKey: true,
+  baseURL: "https://api.steampowered.com",
+
+  buildRequest: function (ctx, start) {
+    return {
+      uri: ctx.baseURL + "/IEconService/GetInventoryItemsWithDescriptions/v1",
+      qs: {
+        key: ctx.apiKey,
+        appid: ctx.appID,
+        contextid: ctx.contextID,
+        steamid: ctx.steamID.getSteamID64(),
+        language: ctx.language,
+        start_assetid: start,
+        get_descriptions: true,
+      },
+      json: true,
+    };
+  },
+
+  parsePage: function (body) {
+    if (body && body.response && body.response.total_inventory_count === 0) {
+      return Helpers.parseInventoryPage({ success: true, total_inventory_count: 0 });
+    }
+
+    if (!body || !body.response) {
+      return Helpers.parseInventoryPage(body);
+    }
+
+    return Helpers.parseInventoryPage(Object.assign({ success: true }, body.response));
+  },
+
+  getNextCursor: Helpers.getNextInventoryCursor,
+
+  classifyError: function (err, response) {
+    if (response && response.statusCode == 403) {
+      return new Errors.InvalidApiKeyError("Invalid API key");
+    }
+
+    return Errors.fromHttpError(err, response);
+  },
+};
@@ -0,0 +1,276 @@
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const zlib = require("zlib");
+
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Sends requests with Node's own http and https modules. Supports HTTP(S) proxies (tunnelling https requests through
+ * CONNECT), local addresses, gzip/deflate responses and following redirects of GET and HEAD requests.
+ * @param {object} [options]
+ * @param {boolean} [options.keepAlive=true] - Whether to reuse connections between requests
+ */
+function NativeTransport(options) {
+  options = options || {};
+
+  var keepAlive = options.keepAlive !== false;
+
+  this.name = "native";
+  this._agents = {
+    "http:": new http.Agent({ keepAlive: keepAlive }),
+    "https:": new https.Agent({ keepAlive: keepAlive }),
+  };
+}
+
+/**
+ * Send a normalized request.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.url - The full URL, including its query string
+ * @param {object} request.headers
+ * @param {string|Buffer} [request.body]
+ * @param {int} [request.timeout] - Milliseconds to wait for the response before failing with ETIMEDOUT
+ * @param {string} [request.proxy] - An http:// or https:// proxy URL, which may contain credentials
+ * @param {string} [request.localAddress]
+ * @param {boolean} [request.followRedirect=true] - Whether to follow redirects of GET and HEAD requests
+ * @param {string|null} [request.encoding="utf8"] - How to decode the body. null leaves it a Buffer.
+ * @param {function} callback - Called with (err, {statusCode, headers, body, url})
+ */
+NativeTransport.prototype.send = function (request, callback) {
+  this._send(request, request.url, request.headers, 0, callback);
+};
+
+NativeTransport.prototype._send = function (request, url, headers, redirects, callback) {
+  var target = new URL(url);
+  var finished = false;
+  var req;
+
+  var finish = function (err, response) {
+    if (!finished) {
+      finished = true;
+      clearTimeout(timer);
+      callback(err, response);
+    }
+  };
+
+  var timer = request.timeout
+    ? setTimeout(function () {
+        var err = new Error("Request timed out after " + request.timeout + "ms");
+        err.code = "ETIMEDOUT";
+
+        if (req) {
+          req.destroy(err);
+        }
+
+        finish(err);
+      }, request.timeout)
+    : null;
+
+  this._getRequestOptions(request, target, headers, (err, options, tunnel) => {
+    if (err) {
+      finish(err);
+      return;
+    }
+
+    if (finished) {
+      if (tunnel) {
+        tunnel.destroy();
+      }
+
+      return;
+    }
+
+    req = (target.protocol == "https:" ? https : http).request(options, (res) => {
+      var location = res.headers.location;
+
+      if (
+        request.followRedirect !== false &&
+        location &&
+        REDIRECT_STATUS_CODES.indexOf(res.statusCode) != -1 &&
+        (request.method == "GET" || request.method == "HEAD") &&
+        redirects < MAX_REDIRECTS
+      ) {
+        res.resume();
+        clearTimeout(timer);
+        finished = true;
+
+        var next = new URL(location, url);
+        var nextHeaders = Object.assign({}, headers);
+
+        // Don't leak cookies and credentials to other hosts
+        if (next.host != target.host) {
+          delete nextHeaders.Cookie;
+          delete nextHeaders.cookie;
+          delete nextHeaders.Authorization;
+          delete nextHeaders.authorization;
+        }
+
+        this._send(request, next.href, nextHeaders, redirects + 1, callback);
+        return;
+      }
+
+      readBody(res, request.method == "HEAD", function (err, buffer) {
+        if (err) {
+          finish(err);
+          return;
+        }
+
+        finish(null, {
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: request.encoding === null ? buffer : buffer.toString(request.encoding || "utf8"),
+          url: url,
+        });
+      });
+    });
+
+    req.on("error", finish);
+    req.end(request.body);
+  });
+};
+
+NativeTransport.prototype._getRequestOptions = function (request, target, headers, callback) {
+  var options = {
+    method: request.method,
+    host: target.hostname.replace(/^\[|\]$/g, ""),
+    port: target.port || (target.protocol == "https:" ? 443 : 80),
+    path: target.pathname + target.search,
+    headers: Object.assign({}, headers),
+    localAddress: request.localAddress || undefined,
+    agent: this._agents[target.protocol],
+  };
+
+  if (!hasHeader(options.headers, "accept-encoding")) {
+    options.headers["Accept-Encoding"] = "gzip, deflate";
+  }
+
+  if (request.body && !hasHeader(options.headers, "content-length")) {
+    options.headers["Content-Length"] = Buffer.byteLength(request.body);
+  }
+
+  if (!request.proxy) {
+    callback(null, options);
+    return;
+  }
+
+  var proxy;
+
+  try {
+    proxy = new URL(request.proxy);
+  } catch (ex) {
+    // Call back rather than throw, so the request's timeout gets cleared
+    callback(ex);
+    return;
+  }
+
+  var proxyAuthorization = proxy.username
+    ? "Basic " +
+      Buffer.from(decodeURIComponent(proxy.username) + ":" + decodeURIComponent(proxy.password)).toString("base64")
+    : null;
+  var proxyOptions = {
+    host: proxy.hostname.replace(/^\[|\]$/g, ""),
+    port: proxy.port || (proxy.protocol == "https:" ? 443 : 80),
+    localAddress: options.localAddress,
+  };
+
+  if (target.protocol == "http:") {
+    // Plain http requests are sent to the proxy with the full URL as their path
+    options.host = proxyOptions.host;
+    options.port = proxyOptions.port;
+    options.path = target.href;
+    options.headers.Host = target.host;
+    options.agent = undefined;
+
+    if (proxyAuthorization) {
+      options.headers["Proxy-Authorization"] = proxyAuthorization;
+    }
+
+    if (proxy.protocol == "https:") {
+      options.createConnection = function () {
+        return tls.connect({ host: proxyOptions.host, port: proxyOptions.port, servername: proxyOptions.host });
+      };
+    }
+
+    callback(null, options);
+    return;
+  }
+
+  var connect = (proxy.protocol == "https:" ? https : http).request(
+    Object.assign(proxyOptions, {
+      method: "CONNECT",
+      path: target.hostname + ":" + options.port,
+      headers: Object.assign(
+        { Host: target.hostname + ":" + options.port },
+        proxyAuthorization ? { "Proxy-Authorization": proxyAuthorization } : {}
+      ),
+      agent: false,
+    })
+  );
+
+  connect.once("connect", function (res, socket) {
+    if (res.statusCode != 200) {
+      socket.destroy();
+
+      var err = new Error("Proxy responded to CONNECT with HTTP " + res.statusCode);
+      err.code = "EPROXY";
+      err.statusCode = res.statusCode;
+      callback(err);
+      return;
+    }
+
+    options.agent = undefined;
+    options.createConnection = function () {
+      return tls.connect({ socket: socket, servername: options.host });
+    };
+
+    callback(null, options, socket);
+  });
+
+  if (request.timeout) {
+    connect.setTimeout(request.timeout, function () {
+      connect.destroy(new Error("Proxy didn't respond to CONNECT"));
+    });
+  }
+
+  connect.once("error", callback);
+  connect.end();
+};
+
+function readBody(res, skip, callback) {
+  var encoding = (res.headers["content-encoding"] || "").trim().toLowerCase();
+  var stream = res;
+
+  if (!skip && (encoding == "gzip" || encoding == "x-gzip")) {
+    stream = res.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+  } else if (!skip && encoding == "deflate") {
+    stream = res.pipe(zlib.createInflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+  } else if (!skip && encoding == "br") {
+    stream = res.pipe(zlib.createBrotliDecompress());
+  }
+
+  var chunks = [];
+
+  stream.on("data", function (chunk) {
+    chunks.push(chunk);
+  });
+
+  stream.once("end", function () {
+    callback(null, Buffer.concat(chunks));
+  });
+
+  stream.once("error", callback);
+
+  if (stream !== res) {
+    res.once("error", callback);
+  }
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(function (header) {
+    return header.toLowerCase() == name;
+  });
+}
+
+module.exports = NativeTransport;
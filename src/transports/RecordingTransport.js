@@ -0,0 +1,71 @@
+const FS = require("fs");
+const Fixtures = require("./fixtures.js");
+
+/**
+ * Sends requests through another transport and records every exchange into fixture files, which ReplayTransport can
+ * serve later without any network access. API keys and cookies are redacted, in the responses' URLs and headers too.
+ *
+ * Each fixture file holds one request and the responses it got in order, so retries and repeated requests replay
+ * faithfully. Fixtures from earlier recordings are overwritten.
+ * @param {object} options
+ * @param {object} options.transport - The transport to send requests with
+ * @param {string} options.directory - Where to write fixtures. Created if it doesn't exist.
+ * @param {string[]} [options.redactQuery] - Extra query string parameters to redact
+ * @param {string[]} [options.redactHeaders] - Extra headers to redact
+ */
+function RecordingTransport(options) {
+  if (!options || !options.transport || !options.directory) {
+    throw new Error("A recording transport needs a transport and a directory.");
+  }
+
+  this.name = "record";
+  this.transport = options.transport;
+  this.directory = options.directory;
+  this._options = options;
+  this._fixtures = {};
+}
+
+RecordingTransport.prototype.send = function (request, callback) {
+  var description = Fixtures.describeRequest(request, this._options);
+  var path = Fixtures.getFixturePath(this.directory, description);
+
+  this.transport.send(request, (err, response) => {
+    var fixture = this._fixtures[path];
+    if (!fixture) {
+      fixture = this._fixtures[path] = { request: description, responses: [] };
+    }
+
+    fixture.responses.push(
+      err
+        ? { error: { message: err.message, code: err.code || null } }
+        : {
+            statusCode: response.statusCode,
+            headers: Fixtures.redactHeaders(response.headers, this._options),
+            body: Buffer.isBuffer(response.body) ? response.body.toString("base64") : response.body,
+            encoding: Buffer.isBuffer(response.body) ? "base64" : undefined,
+            url: response.url ? Fixtures.redactURL(response.url) : undefined,
+          }
+    );
+
+    var tempPath = path + "." + process.pid + "." + Date.now() + ".tmp";
+
+    FS.promises
+      .mkdir(this.directory, { recursive: true })
+      .then(function () {
+        return FS.promises.writeFile(tempPath, JSON.stringify(fixture, null, 2));
+      })
+      .then(function () {
+        return FS.promises.rename(tempPath, path);
+      })
+      .then(
+        function () {
+          callback(err, response);
+        },
+        function (writeErr) {
+          callback(writeErr);
+        }
+      );
+  });
+};
+
+module.exports = RecordingTransport;
@@ -0,0 +1,75 @@
+const FS = require("fs");
+const Errors = require("../classes/errors.js");
+const Fixtures = require("./fixtures.js");
+
+/**
+ * Serves responses from fixture files written by RecordingTransport, without any network access.
+ * A request which was recorded several times gets its recorded responses in order, then the last one again.
+ * Requests without a fixture fail with a FixtureNotFoundError.
+ * @param {object} options
+ * @param {string} options.directory - Where the fixtures are
+ * @param {string[]} [options.redactQuery] - Extra query string parameters which were redacted when recording
+ * @param {string[]} [options.redactHeaders] - Extra headers which were redacted when recording
+ */
+function ReplayTransport(options) {
+  if (!options || !options.directory) {
+    throw new Error("A replay transport needs a directory.");
+  }
+
+  this.name = "replay";
+  this.directory = options.directory;
+  this._options = options;
+  this._served = {};
+}
+
+ReplayTransport.prototype.send = function (request, callback) {
+  var description = Fixtures.describeRequest(request, this._options);
+  var path = Fixtures.getFixturePath(this.directory, description);
+
+  FS.promises.readFile(path, "utf8").then(
+    (data) => {
+      var fixture;
+
+      try {
+        fixture = JSON.parse(data);
+      } catch (ex) {
+        callback(new Error("Fixture " + path + " is not valid JSON: " + ex.message));
+        return;
+      }
+
+      var served = this._served[path] || 0;
+      var recorded = fixture.responses[Math.min(served, fixture.responses.length - 1)];
+      this._served[path] = served + 1;
+
+      if (recorded.error) {
+        var err = new Error(recorded.error.message);
+        err.code = recorded.error.code || undefined;
+        callback(err);
+        return;
+      }
+
+      callback(null, {
+        statusCode: recorded.statusCode,
+        headers: recorded.headers || {},
+        body: recorded.encoding == "base64" ? Buffer.from(recorded.body, "base64") : recorded.body,
+        url: recorded.url || request.url,
+      });
+    },
+    function (err) {
+      if (err.code != "ENOENT") {
+        callback(err);
+        return;
+      }
+
+      var query = new URLSearchParams(description.query).toString();
+      callback(
+        new Errors.FixtureNotFoundError(
+          "No recorded response for " + description.method + " " + description.url + (query ? "?" + query : ""),
+          { fixture: path }
+        )
+      );
+    }
+  );
+};
+
+module.exports = ReplayTransport;
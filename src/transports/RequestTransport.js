@@ -0,0 +1,49 @@
+/**
+ * Sends requests with the (deprecated) request module, as this library always did.
+ * request is only loaded if this transport is used without passing an instance of it.
+ * @param {object} [options]
+ * @param {function} [options.request] - A request instance to send requests with
+ */
+function RequestTransport(options) {
+  options = options || {};
+
+  this.name = "request";
+  this.request = options.request || require("request").defaults({ forever: true });
+}
+
+/**
+ * Send a normalized request.
+ * @param {object} request - See NativeTransport#send
+ * @param {function} callback - Called with (err, response)
+ */
+RequestTransport.prototype.send = function (request, callback) {
+  this.request(
+    {
+      method: request.method,
+      uri: request.url,
+      headers: request.headers,
+      body: request.body,
+      timeout: request.timeout,
+      proxy: request.proxy || undefined,
+      localAddress: request.localAddress || undefined,
+      followRedirect: request.followRedirect,
+      encoding: request.encoding,
+      gzip: true,
+    },
+    function (err, response, body) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: body,
+        url: response.request && response.request.uri ? response.request.uri.href : request.url,
+      });
+    }
+  );
+};
+
+module.exports = RequestTransport;
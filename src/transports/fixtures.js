@@ -0,0 +1,95 @@
+const Crypto = require("crypto");
+const Path = require("path");
+
+const REDACTED = "REDACTED";
+const DEFAULT_REDACT_QUERY = ["key", "api_key", "apikey", "access_token"];
+const DEFAULT_REDACT_HEADERS = ["x-rapidapi-key", "cookie", "set-cookie", "authorization", "proxy-authorization"];
+
+/**
+ * Describe a transport request the way it's stored in a fixture, with API keys and cookies redacted.
+ * @param {object} request - A normalized transport request
+ * @param {object} [options]
+ * @param {string[]} [options.redactQuery] - Extra query string parameters to redact
+ * @param {string[]} [options.redactHeaders] - Extra headers to redact
+ * @returns {{method: string, url: string, query: object, headers: object, body: string|null}}
+ */
+exports.describeRequest = function (request, options) {
+  options = options || {};
+
+  var redactQuery = DEFAULT_REDACT_QUERY.concat(options.redactQuery || []);
+  var url = new URL(request.url);
+  var query = {};
+
+  url.searchParams.forEach(function (value, name) {
+    query[name] = redactQuery.indexOf(name) != -1 ? REDACTED : value;
+  });
+
+  var body = request.body;
+  if (Buffer.isBuffer(body)) {
+    body = body.toString("base64");
+  }
+
+  return {
+    method: request.method,
+    url: exports.redactURL(request.url),
+    query: query,
+    headers: exports.redactHeaders(request.headers, options),
+    body: body || null,
+  };
+};
+
+/**
+ * Strip a URL down to its origin and path, redacting API keys which are passed as a path segment.
+ * The query string is left out; describeRequest keeps it separately, redacted.
+ * @param {string} url
+ * @returns {string}
+ */
+exports.redactURL = function (url) {
+  url = new URL(url);
+
+  // steam.supply takes its API key as a path segment
+  var pathname = url.pathname.replace(/^\/API\/[^/]+\/loadinventory/, "/API/" + REDACTED + "/loadinventory");
+  return url.protocol + "//" + url.host + pathname;
+};
+
+/**
+ * Copy request or response headers with API keys and cookies redacted.
+ * @param {object} [headers]
+ * @param {object} [options]
+ * @param {string[]} [options.redactHeaders] - Extra headers to redact
+ * @returns {object}
+ */
+exports.redactHeaders = function (headers, options) {
+  var redactHeaders = DEFAULT_REDACT_HEADERS.concat((options && options.redactHeaders) || []).map(function (header) {
+    return header.toLowerCase();
+  });
+
+  var redacted = {};
+  Object.keys(headers || {}).forEach(function (name) {
+    redacted[name] = redactHeaders.indexOf(name.toLowerCase()) != -1 ? REDACTED : headers[name];
+  });
+
+  return redacted;
+};
+
+/**
+ * Get the path of the fixture file a request is recorded in. Requests are matched by method, URL, query string and
+ * body, after redaction, so fixtures recorded with one API key replay with any other.
+ * @param {string} directory
+ * @param {object} description - As returned by describeRequest
+ * @returns {string}
+ */
+exports.getFixturePath = function (directory, description) {
+  var query = Object.keys(description.query)
+    .sort()
+    .map(function (name) {
+      return name + "=" + description.query[name];
+    })
+    .join("&");
+
+  var hash = Crypto.createHash("sha1")
+    .update([description.method, description.url, query, description.body || ""].join("\n"))
+    .digest("hex");
+
+  return Path.join(directory, new URL(description.url).hostname + "_" + hash.substring(0, 16) + ".json");
+};